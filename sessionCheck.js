@@ -1,3 +1,4 @@
+/* global Promise, Uint8Array */
 (function () {
     "use strict";
     /**
@@ -10,54 +11,142 @@
      * common config options
      * @param {string} [config.subject] - (optional) The user currently logged into the RP. Not usable with responseType=none.
      * @param {function} config.invalidSessionHandler - function to be called once any problem with the session is detected
+     * @param {function} [config.sessionCheckErrorHandler] - optional function to be called when the session couldn't be checked, due to a timeout, network error or temporary problem at the OP. If not provided, the invalidSessionHandler is called instead.
      * @param {function} [config.initialSessionSuccessHandler] - optional function to be called after the first successful session check request.
      * @param {number} [config.cooldownPeriod=5] - Minimum time (in seconds) between requests to the opUrl
+     * @param {number} [config.checkTimeout=10] - Maximum time (in seconds) to wait for the response to a session check request
+     * @param {string} [config.authId=Primary] - The unique id to identify this config and any associated requests
 
-     * amUrl, ssoToken and ssoTokenName are only used when using ForgeRock-specific session validation calls
+     * scheduler options are only used once start() has been called
+     * @param {number} [config.pollInterval] - Time (in seconds) between scheduled session checks. If not provided, checks are only triggered by events.
+     * @param {boolean} [config.checkOnVisible=true] - Check the session when the page becomes visible
+     * @param {boolean} [config.checkOnFocus=true] - Check the session when the window gains focus
+     * @param {boolean} [config.checkOnOnline=true] - Check the session when the browser comes back online
+     * @param {string[]} [config.activityEvents] - Names of document events (such as "click" or "keypress") which indicate user activity and should check the session
+     * @param {boolean} [config.pauseWhenHidden=true] - Don't check the session while the page is hidden
+     * @param {number} [config.maxBackoff=300] - Maximum time (in seconds) to wait between scheduled checks after the OP reports transient failures
+     * @param {Object} [config.claimPolicy] - Declares which changes to the claims (compared with the idToken, or the first successful session check) invalidate the session
+     * @param {string[]} config.claimPolicy.claims - Names of the claims (such as sid, acr, amr or auth_time) which must not change. Each change is reported with the reason "<claim>_changed".
+     * @param {string[]} [config.claimPolicy.acrValues] - The acr values used by the OP, from weakest to strongest. When provided, the acr claim may increase (step-up), and only decreases are reported, with the reason "acr_downgraded".
+     * @param {function} [config.onSessionExpiring] - optional function to be called, with the number of seconds left, when the session is about to expire. Uses the exp claim, or the AM session's max idle and max session times when using the ForgeRock-specific method.
+     * @param {number} [config.expiryWarningPeriod=60] - How long (in seconds) before the session expires to call the onSessionExpiring function
+     * @param {boolean} [config.crossTab=false] - Coordinate with the other tabs using the same authId, so that only one of them checks the session with the OP and they all share the results
+
+     * amUrl, ssoToken and the options below are only used when using ForgeRock-specific session validation calls
      * @param {string} [config.amUrl] - The full URL (including path to the base of the realm) of the AM server that issued the ssoToken
      * @param {string} [config.ssoToken] - String representing the user's session within AM. Likely made available as a custom idToken claim
      * @param {string} [config.ssoTokenName] - Name of the session token. Defaults to iPlanetDirectoryPro
+     * @param {string} [config.realm] - The realm (such as /alpha) which the AM session must belong to
+     * @param {string} [config.universalId] - The universalId (such as id=demo,ou=user,o=alpha,ou=services,ou=am-config) which the AM session must belong to
+     * @param {function} [config.sessionInfoHandler] - optional function to be called after every successful session check, with the AM session info (and properties, when requested) and the count of session check requests that have been made so far
+     * @param {boolean} [config.sessionProperties=false] - Also read the AM session properties (those allowlisted in AM) for the sessionInfoHandler
+     * @param {boolean} [config.refreshSession=false] - Reset the idle time of the AM session when checking it, if the user has been active within this app since it was last reset. Otherwise, the session info is read without resetting its idle time.
 
      * remaining options only used for standards-based session validation calls
      * @param {string} config.opUrl - Full URL to the OP Authorization Endpoint
-     * @param {string} [config.responseType=id_token] - Response type to use to check the session. Supported options are id_token or none.
+     * @param {string} [config.responseType=id_token] - Response type to use to check the session. Supported options are id_token, code or none.
      * @param {string} config.clientId - The id of this RP client within the OP
-     * @param {string} config.authId - The unique id to identify this config and any associated requests
-     * @param {string} [config.idToken] - The first id_token obtained as part of an interactive grant. Only used with responseType=none.
+     * @param {string} [config.idToken] - The first id_token obtained as part of an interactive grant. Required with responseType=none; otherwise used as the id_token_hint when logging out, and to match front-channel logout requests.
      * @param {string} [config.redirectUri=sessionCheck.html] - The redirect uri registered in the OP for session-checking purposes
      * @param {string} [config.scope=openid] - Session check scope; can be space-separated list
-     * @param {function} [config.sessionClaimsHandler] - optional function to be called after every session check request. Only invoked when using responseType=id_token. Includes the claims and the count of session check requests that have been made so far.
+     * @param {string} [config.tokenEndpoint] - Full URL to the OP Token Endpoint. Required when using responseType=code.
+     * @param {function} [config.sessionClaimsHandler] - optional function to be called after every session check request. Only invoked when using responseType=id_token or code. Includes the claims and the count of session check requests that have been made so far.
+     * @param {string} [config.issuer] - The issuer identifier of the OP. Required when using responseType=id_token or code, to check the iss claim of each id_token. When using SessionCheck.fromIssuer, the OP endpoints below are read from its discovery document.
+     * @param {string} [config.jwksUri] - Full URL to the OP JSON Web Key Set, used to verify the signature of each id_token. Required when using responseType=id_token or code.
+     * @param {number} [config.clockSkew=60] - Number of seconds of difference allowed between the OP and browser clocks when checking the exp and iat claims
+     * @param {string} [config.endSessionEndpoint] - Full URL to the OP End Session Endpoint
+     * @param {string} [config.thirdPartyCookieFallback] - How to check the session when the browser blocks the OP cookies within the hidden iframe: "storageAccess", "popup", "redirect" or "none". When provided, this is reported as "third_party_cookies_blocked" rather than as an invalid session.
+     * @param {string} [config.storageAccessUrl] - Full URL to the sessionCheckStorageAccess.html page, hosted on the same origin as the opUrl. Required when using thirdPartyCookieFallback=storageAccess.
+     * @param {function} [config.saveAppState] - optional function called before leaving the page when using thirdPartyCookieFallback=redirect. Whatever it returns (which must be JSON-serializable) is passed to the restoreAppState function on return.
+     * @param {function} [config.restoreAppState] - optional function called with the saved app state, when returning to the page after using thirdPartyCookieFallback=redirect
+
+     * checkSessionIframe and sessionState are only used when using the OIDC Session Management check_session_iframe
+     * @param {string} [config.checkSessionIframe] - Full URL to the OP check_session_iframe. When provided, session changes are detected by messaging this frame; opUrl is only requested once it reports a change.
+     * @param {string} [config.sessionState] - The session_state value returned with the original authentication response. Required when using checkSessionIframe.
+     * @param {number} [config.checkSessionInterval] - Time (in seconds) between messages posted to the check_session_iframe, once start() has been called. Defaults to the cooldownPeriod.
      */
     module.exports = function (config) {
         var calculatedUriLink;
+        var redirectResult;
 
         this.request_check_count = 0;
         this.cooldownPeriod = config.cooldownPeriod || 5;
         this.subject = config.subject;
+        this.authId = config.authId || "Primary";
+        this.issuer = config.issuer;
+        this.idToken = config.idToken;
+        if (config.claimPolicy) {
+            if (!Array.isArray(config.claimPolicy.claims)) {
+                throw "When using the claimPolicy, you must supply an array of claim names as claimPolicy.claims.";
+            }
+            if (config.claimPolicy.acrValues && !Array.isArray(config.claimPolicy.acrValues)) {
+                throw "The claimPolicy.acrValues must be an array of acr values, from weakest to strongest.";
+            }
+            this.claimPolicy = config.claimPolicy;
+        }
+        this.onSessionExpiring = config.onSessionExpiring;
+        this.expiryWarningPeriod = config.expiryWarningPeriod || 60;
+        if (this.idToken) {
+            // the claims which the claimPolicy compares later claims with
+            this.baselineClaims = getIdTokenClaims(this.idToken);
+            // used to match front-channel logout requests with this session
+            this.sid = this.baselineClaims.sid;
+            if (this.baselineClaims.exp) {
+                scheduleExpiryWarning.call(this, this.baselineClaims.exp * 1000);
+            }
+        }
+        this.checkTimeout = config.checkTimeout || 10;
+        this.eventHandlers = {};
+        this.resultResolvers = [];
+        this.sessionCheckFailedHandle = (function (reason) {
+            sessionCheckFailed.call(this, reason, config);
+        }).bind(this);
+
+        // used by the scheduler, see start()
+        this.pollInterval = config.pollInterval;
+        this.checkOnVisible = config.checkOnVisible !== false;
+        this.checkOnFocus = config.checkOnFocus !== false;
+        this.checkOnOnline = config.checkOnOnline !== false;
+        this.activityEvents = config.activityEvents || [];
+        this.pauseWhenHidden = config.pauseWhenHidden !== false;
+        this.maxBackoff = config.maxBackoff || 300;
+        this.transientFailureCount = 0;
+        this.backoffUntil = 0;
 
         if (config.ssoToken) {
             this.ssoTokenName = config.ssoTokenName || "iPlanetDirectoryPro";
             this.ssoToken = config.ssoToken;
-            this.amUrl = config.amUrl + "/sessions?_action=validate";
-            this.validationHandler = (function (responseText) {
-                try {
-                    var validationResponse = JSON.parse(responseText);
-                } catch (e) {
-                    config.invalidSessionHandler(e.message, this.request_check_count);
-                    return;
-                }
-                if (!validationResponse.valid) {
-                    config.invalidSessionHandler("invalid_session", this.request_check_count);
-                    return;
+            this.amUrl = config.amUrl;
+            this.realm = config.realm;
+            this.universalId = config.universalId;
+            this.sessionInfoHandler = config.sessionInfoHandler;
+            this.sessionProperties = config.sessionProperties;
+            this.refreshSession = config.refreshSession;
+            if (this.refreshSession) {
+                // the idle time of the AM session is only reset after activity within this app
+                this.lastActivity = 0;
+                this.lastRefresh = 0;
+                this.userActivityHandle = (function () {
+                    this.lastActivity = (new Date()).getTime();
+                }).bind(this);
+                USER_ACTIVITY_EVENTS.forEach(function (eventName) {
+                    document.addEventListener(eventName, this.userActivityHandle, { "capture": true, "passive": true });
+                }, this);
+            }
+            this.validationHandler = (function (sessionInfo) {
+                if (this.subject && this.subject !== sessionInfo.username) {
+                    return "subject_mismatch";
                 }
-                if (this.subject && this.subject !== validationResponse.uid) {
-                    config.invalidSessionHandler("subject_mismatch", this.request_check_count);
-                    return;
+                if (this.realm && this.realm !== sessionInfo.realm) {
+                    return "realm_mismatch";
                 }
-                if (config.initialSessionSuccessHandler && this.request_check_count === 1) {
-                    config.initialSessionSuccessHandler();
+                if (this.universalId && this.universalId !== sessionInfo.universalId) {
+                    return "universal_id_mismatch";
                 }
             }).bind(this);
+            this.sessionCheckSucceededHandle = (function (session) {
+                sessionCheckSucceeded.call(this, undefined, config, session);
+            }).bind(this);
         } else { // using the standards-based prompt=none iframe approach
 
             if (!config.redirectUri) {
@@ -69,20 +158,52 @@
             } else {
                 this.redirectUri = config.redirectUri;
             }
-            this.idToken = config.idToken;
             this.clientId = config.clientId;
-            this.authId = config.authId || "Primary";
             this.opUrl = config.opUrl;
+            this.jwksUri = config.jwksUri;
+            this.endSessionEndpoint = config.endSessionEndpoint;
+            this.tokenEndpoint = config.tokenEndpoint;
             this.responseType = config.responseType || "id_token";
 
             if (this.responseType === "none" && !this.idToken) {
                 throw "When using the 'none' response type, you must supply an idToken value to use as a hint when calling the OP.";
             }
 
-            if (this.responseType === "id_token") {
+            if (this.responseType === "code" && !this.tokenEndpoint) {
+                throw "When using the 'code' response type, you must supply a tokenEndpoint value to exchange the code with.";
+            }
+
+            if (this.responseType === "code" && (typeof crypto === "undefined" || !crypto.subtle)) {
+                throw "When using the 'code' response type, the browser must provide crypto.subtle (only available to secure contexts) to create the PKCE code_challenge.";
+            }
+
+            if ((this.responseType === "id_token" || this.responseType === "code") && (!this.jwksUri || !this.issuer)) {
+                throw "When using the '" + this.responseType + "' response type, you must supply the jwksUri and issuer values used to validate each id_token (or use SessionCheck.fromIssuer).";
+            }
+
+            if (this.responseType === "id_token" || this.responseType === "code") {
                 this.scope = config.scope || "openid";
             }
 
+            this.thirdPartyCookieFallback = config.thirdPartyCookieFallback;
+            this.storageAccessUrl = config.storageAccessUrl;
+            this.saveAppState = config.saveAppState;
+            if (this.thirdPartyCookieFallback === "storageAccess" && !this.storageAccessUrl) {
+                throw "When using the 'storageAccess' thirdPartyCookieFallback, you must supply a storageAccessUrl value.";
+            }
+            // the OP cookies are only third-party cookies when the opUrl is on another origin
+            calculatedUriLink = document.createElement("a");
+            calculatedUriLink.href = this.opUrl;
+            this.opUrlOrigin = calculatedUriLink.protocol + "//" + calculatedUriLink.host;
+            if (this.thirdPartyCookieFallback === "storageAccess") {
+                // the session is checked from the storageAccessUrl page, once it has been granted access
+                calculatedUriLink.href = this.storageAccessUrl;
+                this.storageAccessOrigin = calculatedUriLink.protocol + "//" + calculatedUriLink.host;
+                if (this.storageAccessOrigin !== this.opUrlOrigin) {
+                    throw "When using the 'storageAccess' thirdPartyCookieFallback, the storageAccessUrl must be hosted on the same origin as the opUrl.";
+                }
+            }
+
             /*
              * Attach a hidden iframe onto the main document body that is used to perform
              * background OP-session checking
@@ -90,106 +211,1391 @@
             this.iframe = document.createElement("iframe");
             this.iframe.setAttribute("id", "sessionCheckFrame-" + this.authId);
             this.iframe.setAttribute("style", "display:none");
+            this.iframe.addEventListener("load", (function () {
+                // if the OP doesn't redirect back to the redirectUri (because it refuses to be framed, for
+                // example), the frame is left with a cross-origin document - reading its location throws
+                try {
+                    this.frameCrossOrigin = !this.iframe.contentWindow.location.href;
+                } catch (e) {
+                    this.frameCrossOrigin = true;
+                }
+            }).bind(this));
             document.getElementsByTagName("body")[0].appendChild(this.iframe);
             this.eventListenerHandle = (function (e) {
+                var fallbackResponse;
+                if (this.opFrame && e.source === this.opFrame.contentWindow) {
+                    if (e.origin === this.opOrigin) {
+                        checkSessionResponseHandler.call(this, e.data, config);
+                    }
+                    return;
+                }
                 if (e.data.authId && e.data.authId !== this.authId) {
                     return;  
                 }
                 if (e.origin !== document.location.origin) {
                     return;
                 }
-                if (e.data.message === "sessionCheckFailed" && config.invalidSessionHandler) {
-                    config.invalidSessionHandler(e.data.reason, this.request_check_count);
+                if (!endRequest.call(this, e.data.requestId)) {
+                    // not the response to the request currently in-flight
+                    return;
+                }
+                fallbackResponse = isFallbackSource.call(this, e.source);
+                if (this.storageAccess && fallbackResponse) {
+                    endStorageAccess.call(this);
+                }
+                if (e.data.message === "sessionCheckFailed") {
+                    if (!fallbackResponse && isThirdPartyCookieFailure.call(this, e.data.reason, config)) {
+                        thirdPartyCookiesDetected.call(this, config);
+                        return;
+                    }
+                    sessionCheckFailed.call(this, e.data.reason, config);
                 }
                 if (e.data.message === "sessionCheckSucceeded") {
-                    // Note that claims will only be available if using responseType=id_token
-                    if (config.sessionClaimsHandler && e.data.claims) {
-                        config.sessionClaimsHandler(e.data.claims, this.request_check_count);
+                    if (!fallbackResponse) {
+                        // the OP cookies are available within the hidden iframe
+                        this.thirdPartyCookiesBlocked = false;
                     }
-                    if (config.initialSessionSuccessHandler && this.request_check_count === 1) {
-                        config.initialSessionSuccessHandler();
+                    // session_state is only returned by OPs which support check_session_iframe
+                    if (this.checkSessionIframe && e.data.sessionState) {
+                        this.sessionState = e.data.sessionState;
                     }
+                    // Note that claims will only be available if using responseType=id_token or code
+                    sessionCheckSucceeded.call(this, e.data.claims, config);
                 }
             }).bind(this);
             window.addEventListener("message", this.eventListenerHandle);
 
+            if (config.checkSessionIframe) {
+                if (!config.sessionState) {
+                    throw "When using the checkSessionIframe, you must supply the sessionState value returned with the original authentication response.";
+                }
+                this.checkSessionIframe = config.checkSessionIframe;
+                this.sessionState = config.sessionState;
+
+                // same trick as above, used to determine the origin of the OP frame for postMessage
+                calculatedUriLink = document.createElement("a");
+                calculatedUriLink.href = this.checkSessionIframe;
+                this.opOrigin = calculatedUriLink.protocol + "//" + calculatedUriLink.host;
+
+                /*
+                 * Attach a second hidden iframe which loads the OP's check_session_iframe.
+                 * It is messaged on a timer with the client_id and session_state, and will
+                 * respond with "changed", "unchanged" or "error".
+                 */
+                this.opFrame = document.createElement("iframe");
+                this.opFrame.setAttribute("id", "sessionCheckOPFrame-" + this.authId);
+                this.opFrame.setAttribute("style", "display:none");
+                this.opFrame.addEventListener("load", (function () {
+                    this.opFrameLoaded = true;
+                    if (this.checkSessionPending) {
+                        this.checkSessionPending = false;
+                        postCheckSessionMessage(this);
+                    }
+                }).bind(this));
+                this.opFrame.setAttribute("src", this.checkSessionIframe);
+                document.getElementsByTagName("body")[0].appendChild(this.opFrame);
+
+                // the OP frame is only messaged by the scheduler; see start()
+                this.checkSessionInterval = config.checkSessionInterval || this.cooldownPeriod;
+            }
+
             if (this.subject) {
                 sessionStorage.setItem("sessionCheckSubject-" + this.authId, this.subject);
             }
+
+            // used by the sessionCheckFrame code to validate the id_token
+            sessionStorage.setItem("sessionCheckClientId-" + this.authId, this.clientId);
+            sessionStorage.setItem("sessionCheckClockSkew-" + this.authId, config.clockSkew !== undefined ? config.clockSkew : 60);
+            if (this.issuer) {
+                sessionStorage.setItem("sessionCheckIssuer-" + this.authId, this.issuer);
+            }
+            if (this.jwksUri) {
+                sessionStorage.setItem("sessionCheckJwksUri-" + this.authId, this.jwksUri);
+            }
+
+            // used by the sessionCheckFrame code to exchange the code for an id_token
+            if (this.responseType === "code") {
+                sessionStorage.setItem("sessionCheckTokenEndpoint-" + this.authId, this.tokenEndpoint);
+                sessionStorage.setItem("sessionCheckRedirectUri-" + this.authId, this.redirectUri);
+            }
+
+            // left by the sessionCheckFrame code when returning from a top-level session check
+            redirectResult = sessionStorage.getItem("sessionCheckRedirectResult-" + this.authId);
+            if (redirectResult) {
+                sessionStorage.removeItem("sessionCheckRedirectResult-" + this.authId);
+                this.thirdPartyCookiesBlocked = true;
+                // wait for the handlers to be subscribed before reporting the result
+                setTimeout(redirectSessionCheckReturned.bind(this, JSON.parse(redirectResult), config));
+            }
         }
 
+        if (config.crossTab) {
+            crossTabSetup.call(this, config);
+        }
+
+        frontchannelLogoutSetup.call(this, config);
+
         return this;
     };
 
     /**
-     * Private function only to be called through the triggerSessionCheck function.
-     * Responsible for starting the interaction with the identity provider, using
-     * whichever method appropriate. If using standard approach, then it will
-     * update the hidden iframe url to trigger the implicit-flow-based
-     * id_token grant and construct the nonce value, which is later verified in
-     * the sessionCheckFrame code. If using the ForgeRock approach, then it makes
-     * an XHR call to the session validation endpoint.
+     * Private function used to combine the configuration provided to fromIssuer with the
+     * details published in the OP discovery document. Values explicitly provided in the
+     * configuration take precedence over those that are discovered.
      */
-    var sessionCheckRequest = function(config) {
+    var applyDiscoveryDocument = function (config, discovery) {
+        var discoveredConfig = Object.keys(config).reduce(function (result, key) {
+            result[key] = config[key];
+            return result;
+        }, {});
+        var responseType = config.responseType || "id_token";
+
+        if (discovery.issuer !== config.issuer) {
+            throw "The issuer in the discovery document (" + discovery.issuer + ") does not match the configured issuer (" + config.issuer + ").";
+        }
+
         if (config.ssoToken) {
-            var req = new XMLHttpRequest();
-            req.addEventListener("load", function () {
-                config.validationHandler(this.responseText);
+            // ForgeRock AM issuers look like https://am.example.com/am/oauth2/realms/root, while the
+            // REST endpoints for the same realm are found under https://am.example.com/am/json/realms/root
+            if (!discoveredConfig.amUrl) {
+                if (discovery.issuer.indexOf("/oauth2/realms/") === -1) {
+                    throw "Unable to determine the amUrl from the issuer " + discovery.issuer + "; you must supply an amUrl value.";
+                }
+                discoveredConfig.amUrl = discovery.issuer.replace("/oauth2/realms/", "/json/realms/");
+            }
+            return discoveredConfig;
+        }
+
+        if (discovery.response_types_supported && discovery.response_types_supported.indexOf(responseType) === -1) {
+            throw "The OP does not support the '" + responseType + "' response type.";
+        }
+
+        if (responseType === "code" && discovery.code_challenge_methods_supported &&
+                discovery.code_challenge_methods_supported.indexOf("S256") === -1) {
+            throw "The OP does not support the 'S256' PKCE code challenge method.";
+        }
+
+        discoveredConfig.opUrl = config.opUrl || discovery.authorization_endpoint;
+        discoveredConfig.tokenEndpoint = config.tokenEndpoint || discovery.token_endpoint;
+        discoveredConfig.jwksUri = config.jwksUri || discovery.jwks_uri;
+        discoveredConfig.endSessionEndpoint = config.endSessionEndpoint || discovery.end_session_endpoint;
+
+        // the check_session_iframe is only usable when the session_state is known
+        if (config.sessionState) {
+            discoveredConfig.checkSessionIframe = config.checkSessionIframe || discovery.check_session_iframe;
+        }
+
+        return discoveredConfig;
+    };
+
+    /**
+     * Failure reasons which indicate that the session couldn't be checked (due to a temporary
+     * problem at the OP or in the network), rather than a problem with the session. These are
+     * passed to the sessionCheckErrorHandler, and scheduled checks back off when they are reported.
+     */
+    var TRANSIENT_FAILURE_REASONS = ["timeout", "frame_blocked", "network_error", "server_error", "temporarily_unavailable", "jwks_unavailable", "cors_error", "invalid_response", "code_challenge_failed", "third_party_cookies_blocked", "popup_blocked"];
+
+    /**
+     * Failure reasons which say nothing about whether the session is valid, and so are never
+     * passed to the invalidSessionHandler - only to the sessionCheckErrorHandler, if provided.
+     */
+    var ERROR_ONLY_REASONS = ["code_challenge_failed", "third_party_cookies_blocked", "popup_blocked"];
+
+    /**
+     * Private function used to call the handlers subscribed (using on) to the named event.
+     */
+    var emit = function (eventName, result) {
+        (this.eventHandlers[eventName] || []).slice().forEach(function (handler) {
+            handler(result);
+        });
+    };
+
+    /**
+     * Private function used to resolve the promises returned from triggerSessionCheck
+     * which are waiting on the result of the session check that has just completed.
+     * Called before any handlers, so that one which throws can't hold up later checks.
+     */
+    var sessionCheckCompleted = function (result) {
+        this.lastResult = result;
+        this.resultResolvers.splice(0).forEach(function (resolve) {
+            resolve(result);
+        });
+    };
+
+    /**
+     * Private function used to build the result of a triggerSessionCheck call that was
+     * skipped due to the cooldown period, based on the last result.
+     */
+    var skippedResult = function () {
+        var result = Object.keys(this.lastResult || {}).reduce((function (skipped, key) {
+            skipped[key] = this.lastResult[key];
+            return skipped;
+        }).bind(this), {
+            "status": "unknown",
+            "requestCheckCount": this.request_check_count
+        });
+        result.skipped = true;
+        return result;
+    };
+
+    /**
+     * Private function used to build the result of any session check which is waiting on (or
+     * requested after) the destruction of this instance.
+     */
+    var destroyedResult = function () {
+        return {
+            "status": "error",
+            "reason": "destroyed",
+            "requestCheckCount": this.request_check_count,
+            "skipped": false
+        };
+    };
+
+    /**
+     * Private function used to compare claim values, ignoring the order of array values (such as amr).
+     */
+    var claimValue = function (value) {
+        return JSON.stringify(Array.isArray(value) ? value.slice().sort() : value);
+    };
+
+    /**
+     * Private function used to compare the claims from a session check with the baseline
+     * claims, according to the claimPolicy. Returns the reason for the first change which
+     * invalidates the session; otherwise, the claims become the new baseline.
+     */
+    var getClaimPolicyFailure = function (claims) {
+        var policy = this.claimPolicy;
+        var baseline = this.baselineClaims;
+        var failure;
+
+        if (!policy) {
+            return;
+        }
+        if (baseline) {
+            policy.claims.some(function (name) {
+                if (claimValue(baseline[name]) === claimValue(claims[name])) {
+                    return false;
+                }
+                if (name === "acr" && policy.acrValues) {
+                    // stepping up to a stronger acr is allowed
+                    if (policy.acrValues.indexOf(claims.acr) >= policy.acrValues.indexOf(baseline.acr)) {
+                        return false;
+                    }
+                    failure = "acr_downgraded";
+                    return true;
+                }
+                failure = name + "_changed";
+                return true;
             });
-            req.open("POST", config.amUrl);
-            req.setRequestHeader(config.ssoTokenName, config.ssoToken);
-            req.setRequestHeader("Accept-API-Version", "resource=2.1, protocol=1.0");
-            req.send();
+        }
+        if (!failure) {
+            this.baselineClaims = claims;
+        }
+        return failure;
+    };
+
+    /**
+     * The longest delay (in ms) which browsers allow for setTimeout; longer delays fire straight away.
+     */
+    var MAX_TIMEOUT = 2147483647;
+
+    /**
+     * Private function used to set the timer which calls onSessionExpiring, the
+     * expiryWarningPeriod before the given expiry time (in ms). Nothing is scheduled
+     * when the expiry time has already passed.
+     */
+    var scheduleExpiryWarning = function (expiresAt) {
+        if (!this.onSessionExpiring || expiresAt === this.expiresAt) {
+            return;
+        }
+        this.expiresAt = expiresAt;
+        clearTimeout(this.expiryTimer);
+        if (expiresAt <= (new Date()).getTime()) {
+            return;
+        }
+        armExpiryWarning.call(this, expiresAt);
+    };
+
+    /**
+     * Private function used to set the expiry warning timer, which is re-armed when it fires
+     * early, since the delay is limited to the MAX_TIMEOUT.
+     */
+    var armExpiryWarning = function (expiresAt) {
+        var delay = expiresAt - this.expiryWarningPeriod * 1000 - (new Date()).getTime();
+        this.expiryTimer = setTimeout((function () {
+            if (delay > MAX_TIMEOUT) {
+                armExpiryWarning.call(this, expiresAt);
+                return;
+            }
+            this.onSessionExpiring(Math.max(0, Math.round((expiresAt - (new Date()).getTime()) / 1000)));
+        }).bind(this), Math.max(0, Math.min(delay, MAX_TIMEOUT)));
+    };
+
+    /**
+     * Private function called with the result of every successful session check, regardless
+     * of the method used to check the session. The claims are only available from the
+     * standards-based method, and the AM session details from the ForgeRock-specific method.
+     */
+    var sessionCheckSucceeded = function (claims, config, session) {
+        var result = {
+            "status": "valid",
+            "claims": claims,
+            "session": session,
+            "requestCheckCount": this.request_check_count,
+            "skipped": false
+        };
+        var initial = !this.initialSessionSucceeded;
+        var claimPolicyFailure = claims && getClaimPolicyFailure.call(this, claims);
+
+        if (claimPolicyFailure) {
+            sessionCheckFailed.call(this, claimPolicyFailure, config);
+            return;
+        }
+        if (claims && claims.exp) {
+            scheduleExpiryWarning.call(this, claims.exp * 1000);
+        }
+        if (session && session.info) {
+            scheduleSessionInfoExpiryWarning.call(this, session.info);
+        }
+
+        this.transientFailureCount = 0;
+        this.backoffUntil = 0;
+        this.initialSessionSucceeded = true;
+        if (claims && claims.sid) {
+            this.sid = claims.sid;
+        }
+        sessionCheckCompleted.call(this, result);
+        if (this.crossTab && this.isLeader) {
+            crossTabBroadcast.call(this, {
+                "message": "sessionCheckSucceeded",
+                "claims": claims,
+                "session": session,
+                "requestCheckCount": this.request_check_count
+            });
+        }
+        if (config.sessionClaimsHandler && claims) {
+            config.sessionClaimsHandler(claims, this.request_check_count);
+        }
+        if (config.sessionInfoHandler && session) {
+            config.sessionInfoHandler(session, this.request_check_count);
+        }
+        if (config.initialSessionSuccessHandler && initial) {
+            config.initialSessionSuccessHandler();
+        }
+        if (claims) {
+            emit.call(this, "claims", result);
+        }
+        emit.call(this, "valid", result);
+        if (initial) {
+            emit.call(this, "first-success", result);
+        }
+    };
+
+    /**
+     * Private function called with the reason for every failed session check, regardless
+     * of the method used to check the session. After transient failures, scheduled checks
+     * are delayed exponentially (up to the maxBackoff) with a random jitter, so that many
+     * clients recovering from the same outage don't all call the OP at once.
+     */
+    var sessionCheckFailed = function (reason, config) {
+        var backoff;
+        var handler = config.invalidSessionHandler;
+        var result = {
+            "status": "invalid",
+            "reason": reason,
+            "requestCheckCount": this.request_check_count,
+            "skipped": false
+        };
+        if (TRANSIENT_FAILURE_REASONS.indexOf(reason) !== -1) {
+            this.transientFailureCount++;
+            backoff = Math.min(this.maxBackoff, (this.pollInterval || this.cooldownPeriod) * Math.pow(2, this.transientFailureCount)) * 1000;
+            this.backoffUntil = (new Date()).getTime() + backoff / 2 + Math.random() * backoff / 2;
+            scheduleSessionCheck.call(this);
+            handler = config.sessionCheckErrorHandler ||
+                (ERROR_ONLY_REASONS.indexOf(reason) === -1 ? handler : null);
+            result.status = "error";
+        }
+        sessionCheckCompleted.call(this, result);
+        if (this.crossTab && this.isLeader) {
+            crossTabBroadcast.call(this, {
+                "message": "sessionCheckFailed",
+                "reason": reason,
+                "requestCheckCount": this.request_check_count
+            });
+        }
+        if (handler) {
+            handler(reason, this.request_check_count);
+        }
+        emit.call(this, result.status, result);
+    };
+
+    /**
+     * How long (in ms) the leader tab holds its lease before other tabs can take over,
+     * and how often (in ms) every tab renews or checks the lease.
+     */
+    var LEADER_LEASE_DURATION = 10000;
+    var LEADER_HEARTBEAT = 4000;
+
+    /**
+     * Private function used to set up the cross-tab coordination. All of the tabs using the
+     * same authId share a BroadcastChannel (or localStorage "storage" events, where
+     * BroadcastChannel isn't available). One tab is elected as the leader, using a lease
+     * kept in localStorage; only the leader checks the session with the OP, and it
+     * broadcasts each result to the other tabs. The other tabs ask the leader to check
+     * the session whenever they would have checked it themselves.
+     */
+    var crossTabSetup = function (config) {
+        this.crossTab = true;
+        this.tabId = randomString();
+        this.broadcastCount = 0;
+
+        this.crossTabMessageHandle = (function (data) {
+            if (!data || data.tabId === this.tabId) {
+                return;
+            }
+            if (data.message === "sessionCheckRequested" && this.isLeader) {
+                // activity in any of the tabs keeps the AM session alive
+                if (data.lastActivity > this.lastActivity) {
+                    this.lastActivity = data.lastActivity;
+                }
+                this.triggerSessionCheck().then((function (result) {
+                    // let the requesting tab know that it won't get a new result
+                    if (result.skipped) {
+                        crossTabBroadcast.call(this, {
+                            "message": "sessionCheckSkipped",
+                            "result": result
+                        });
+                    }
+                }).bind(this));
+            } else if (data.message === "sessionCheckSkipped" && !this.isLeader) {
+                this.resultResolvers.splice(0).forEach(function (resolve) {
+                    resolve(data.result);
+                });
+            } else if (data.message === "sessionCheckSucceeded" && !this.isLeader) {
+                this.request_check_count = data.requestCheckCount;
+                sessionCheckSucceeded.call(this, data.claims, config, data.session);
+            } else if (data.message === "sessionCheckFailed" && !this.isLeader) {
+                this.request_check_count = data.requestCheckCount;
+                sessionCheckFailed.call(this, data.reason, config);
+            } else if (data.message === "leaderResigned") {
+                crossTabElection.call(this);
+            }
+        }).bind(this);
+
+        if (typeof BroadcastChannel !== "undefined") {
+            this.broadcastChannel = new BroadcastChannel("sessionCheck-" + this.authId);
+            this.broadcastChannel.onmessage = (function (e) {
+                this.crossTabMessageHandle(e.data);
+            }).bind(this);
         } else {
-            if (!config.iframe) {
-                // This session check instance has been destroyed
+            this.storageEventHandle = (function (e) {
+                if (e.key === "sessionCheckMessage-" + this.authId && e.newValue) {
+                    this.crossTabMessageHandle(JSON.parse(e.newValue));
+                }
+            }).bind(this);
+            window.addEventListener("storage", this.storageEventHandle);
+        }
+
+        // the leader hands off as the tab closes, rather than waiting for its lease to expire
+        this.crossTabResignHandle = crossTabResign.bind(this);
+        window.addEventListener("pagehide", this.crossTabResignHandle);
+
+        crossTabElection.call(this);
+        this.leaderTimer = setInterval(crossTabElection.bind(this), LEADER_HEARTBEAT);
+    };
+
+    /**
+     * Private function used to send a message to the other tabs using the same authId.
+     */
+    var crossTabBroadcast = function (data) {
+        data.tabId = this.tabId;
+        // makes every message unique, since storage events only fire when the value changes
+        data.sequence = ++this.broadcastCount;
+        if (this.broadcastChannel) {
+            this.broadcastChannel.postMessage(data);
+        } else {
+            localStorage.setItem("sessionCheckMessage-" + this.authId, JSON.stringify(data));
+            localStorage.removeItem("sessionCheckMessage-" + this.authId);
+        }
+    };
+
+    /**
+     * Private function used to renew the lease if this tab is the leader, or take it over
+     * if there is no leader (or the leader's lease has expired).
+     */
+    var crossTabElection = function () {
+        var leaderKey = "sessionCheckLeader-" + this.authId;
+        var now = (new Date()).getTime();
+        var lease = JSON.parse(localStorage.getItem(leaderKey) || "null");
+        var wasLeader = this.isLeader;
+
+        if (!lease || lease.tabId === this.tabId || lease.expires < now) {
+            localStorage.setItem(leaderKey, JSON.stringify({
+                "tabId": this.tabId,
+                "expires": now + LEADER_LEASE_DURATION
+            }));
+            // read it back, in case another tab claimed the lease at the same time
+            lease = JSON.parse(localStorage.getItem(leaderKey));
+        }
+        this.isLeader = lease.tabId === this.tabId;
+
+        if (this.isLeader && !wasLeader && this.resultResolvers.length && !this.pendingRequestId) {
+            // the previous leader went away before responding to this tab's request
+            this.request_check_count++;
+            sessionCheckRequest(this);
+        }
+    };
+
+    /**
+     * Private function used to give up the lease (if this tab is the leader), so that
+     * another tab can take over straight away.
+     */
+    var crossTabResign = function () {
+        if (!this.isLeader) {
+            return;
+        }
+        this.isLeader = false;
+        localStorage.removeItem("sessionCheckLeader-" + this.authId);
+        crossTabBroadcast.call(this, { "message": "leaderResigned" });
+    };
+
+    /**
+     * Private function used to listen for the messages sent by the sessionCheckLogout code,
+     * which runs in the RP's frontchannel_logout_uri page when the OP logs the user out.
+     * Uses a BroadcastChannel (or localStorage "storage" events, where BroadcastChannel
+     * isn't available) shared by every SessionCheck instance, in every tab.
+     */
+    var frontchannelLogoutSetup = function (config) {
+        this.frontchannelLogoutHandle = (function (data) {
+            if (!data || data.message !== "frontchannelLogout") {
                 return;
             }
-            var authorizationUrl = config.opUrl + "?prompt=none" +
-                    "&client_id="     + config.clientId +
-                    "&response_type=" + config.responseType +
-                    "&redirect_uri="  + config.redirectUri + 
-                    "&state=" + config.authId;
+            if (this.crossTab && !this.isLeader) {
+                // the leader will share the result with this tab
+                return;
+            }
+            // the iss value is public, so only a matching sid identifies this session
+            if (!this.sid || data.sid !== this.sid || (this.issuer && data.iss !== this.issuer)) {
+                return;
+            }
+            sessionCheckFailed.call(this, "frontchannel_logout", config);
+        }).bind(this);
 
-            if (config.responseType === "id_token") {
-                var nonce = Math.floor(Math.random() * 100000);
-                sessionStorage.setItem("sessionCheckNonce-" + config.authId, nonce);
-                authorizationUrl += "&nonce=" + nonce;
+        if (typeof BroadcastChannel !== "undefined") {
+            this.logoutChannel = new BroadcastChannel("sessionCheckLogout");
+            this.logoutChannel.onmessage = (function (e) {
+                this.frontchannelLogoutHandle(e.data);
+            }).bind(this);
+        } else {
+            this.logoutStorageEventHandle = (function (e) {
+                if (e.key === "sessionCheckLogout" && e.newValue) {
+                    this.frontchannelLogoutHandle(JSON.parse(e.newValue));
+                }
+            }).bind(this);
+            window.addEventListener("storage", this.logoutStorageEventHandle);
+        }
+    };
+
+    /**
+     * Private function used by the scheduler to set the timer for the next polling check.
+     * Nothing is scheduled while the page is hidden, if the scheduler pauses when hidden.
+     */
+    var scheduleSessionCheck = function () {
+        clearTimeout(this.pollTimer);
+        if (!this.scheduled || !this.pollInterval || (this.pauseWhenHidden && document.visibilityState === "hidden")) {
+            return;
+        }
+        this.pollTimer = setTimeout((function () {
+            this.triggerSessionCheck();
+            scheduleSessionCheck.call(this);
+        }).bind(this), Math.max(this.backoffUntil - (new Date()).getTime(), this.pollInterval * 1000));
+    };
+
+    /**
+     * Private function used by the scheduler to set the timer which messages the OP's
+     * check_session_iframe. As with the polling checks, nothing is posted while the page is
+     * hidden (if the scheduler pauses when hidden), or while backing off.
+     */
+    var scheduleCheckSessionMessage = function () {
+        clearInterval(this.checkSessionTimer);
+        if (!this.scheduled || !this.checkSessionIframe || (this.pauseWhenHidden && document.visibilityState === "hidden")) {
+            return;
+        }
+        this.checkSessionTimer = setInterval((function () {
+            if ((this.crossTab && !this.isLeader) || this.pendingRequestId || this.backoffUntil > (new Date()).getTime()) {
+                return;
             }
+            this.request_check_count++;
+            sessionCheckRequest(this);
+        }).bind(this), this.checkSessionInterval * 1000);
+    };
 
-            if (config.scope) {
-                authorizationUrl += "&scope=" + config.scope;
+    /**
+     * Private function used to handle the events which the scheduler listens for. Every
+     * event checks the session (unless backing off), and restarts the polling interval.
+     */
+    var scheduledEventHandler = function (e) {
+        if (e.type === "visibilitychange" && document.visibilityState === "hidden") {
+            if (this.pauseWhenHidden) {
+                clearTimeout(this.pollTimer);
+                clearInterval(this.checkSessionTimer);
             }
+            return;
+        }
+        if (this.pauseWhenHidden && document.visibilityState === "hidden") {
+            return;
+        }
+        if (e.type === "visibilitychange") {
+            scheduleCheckSessionMessage.call(this);
+        }
+        if (this.backoffUntil <= (new Date()).getTime() && (e.type !== "visibilitychange" || this.checkOnVisible)) {
+            this.triggerSessionCheck();
+        }
+        scheduleSessionCheck.call(this);
+    };
 
-            if (config.idToken) {
-                authorizationUrl += "&id_token_hint=" + config.idToken;
+    /**
+     * Private function used to handle the responses posted from the OP's check_session_iframe.
+     * An "unchanged" response means the OP session is the same as it was when session_state
+     * was issued. A "changed" response doesn't necessarily mean the session is invalid (it may
+     * have just been refreshed), so it is followed by a prompt=none request to find out.
+     * An "error" response means the OP frame couldn't make sense of the message (such as an
+     * unrecognised session_state), which posting it again won't fix, so it is also followed by
+     * a prompt=none request - whose response includes the current session_state.
+     */
+    var checkSessionResponseHandler = function (response, config) {
+        if (!endRequest.call(this, this.checkSessionRequestId)) {
+            return;
+        }
+        if (response === "unchanged") {
+            sessionCheckSucceeded.call(this, undefined, config);
+        } else if (response === "changed" || response === "error") {
+            authorizationRequest(this);
+        }
+    };
+
+    /**
+     * Private function used to track the session check request which is in-flight, returning
+     * an id for it. If no response has been received before the checkTimeout, the request
+     * is reported as failed. Only one request is in-flight at a time.
+     */
+    var beginRequest = function () {
+        this.pendingRequestId = randomString();
+        this.frameCrossOrigin = false;
+        clearTimeout(this.requestTimer);
+        this.requestTimer = setTimeout((function () {
+            this.pendingRequestId = null;
+            if (!navigator.onLine) {
+                this.sessionCheckFailedHandle("network_error");
+            } else if (this.frameCrossOrigin) {
+                this.sessionCheckFailedHandle("frame_blocked");
+            } else {
+                this.sessionCheckFailedHandle("timeout");
             }
+        }).bind(this), this.checkTimeout * 1000);
+        return this.pendingRequestId;
+    };
+
+    /**
+     * Private function used to finish tracking the request with the given id. Returns false
+     * if that isn't the request in-flight (it may have already timed out, for example),
+     * in which case its response should be ignored.
+     */
+    var endRequest = function (requestId) {
+        if (!requestId || requestId !== this.pendingRequestId) {
+            return false;
+        }
+        clearTimeout(this.requestTimer);
+        this.pendingRequestId = null;
+        return true;
+    };
 
+    /**
+     * Private function used to message the OP's check_session_iframe with the current session_state.
+     */
+    var postCheckSessionMessage = function (config) {
+        config.opFrame
+            .contentWindow.postMessage(config.clientId + " " + config.sessionState, config.opOrigin);
+    };
+
+    /**
+     * Private function used to read the claims from an id_token. The claims are not
+     * validated; they are only used to identify the session.
+     */
+    var getIdTokenClaims = function (idToken) {
+        var payload = idToken.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+        var binary = atob(payload + "===".substring((payload.length + 3) % 4));
+        return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, function (character) {
+            return character.charCodeAt(0);
+        })));
+    };
+
+    /**
+     * Private function used to generate unguessable values (such as the nonce)
+     * for use in requests to the OP.
+     */
+    var randomString = function () {
+        var bytes = new Uint8Array(32);
+        crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (byte) {
+            return ("0" + byte.toString(16)).slice(-2);
+        }).join("");
+    };
+
+    /**
+     * Private function used to calculate the PKCE code_challenge for the given code_verifier,
+     * using the S256 method.
+     */
+    var codeChallenge = function (codeVerifier) {
+        return crypto.subtle.digest("SHA-256", new TextEncoder().encode(codeVerifier))
+            .then(function (hash) {
+                return btoa(String.fromCharCode.apply(null, new Uint8Array(hash)))
+                    .replace(/\+/g, "-")
+                    .replace(/\//g, "_")
+                    .replace(/=+$/, "");
+            });
+    };
+
+    /**
+     * Private function used to update the hidden iframe url to trigger the
+     * implicit-flow-based id_token grant (or the code grant, with PKCE) and construct
+     * the nonce value, which is later verified in the sessionCheckFrame code. The
+     * request is made somewhere other than the hidden iframe when navigate is provided.
+     */
+    var authorizationRequest = function (config, navigate, popup) {
+        if (!config.iframe) {
+            // This session check instance has been destroyed
+            return;
+        }
+        navigate = navigate || function (url) {
             config.iframe
-                .contentWindow.location.replace(authorizationUrl);
+                .contentWindow.location.replace(url);
+        };
+        var requestId = beginRequest.call(config);
+        var codeVerifier;
+        // the sessionCheckFrame code uses the state to identify the config and request, and
+        // whether the response should be sent to the opener of a popup window
+        var state = config.authId + "." + (popup ? "popup:" : "") + requestId;
+        var authorizationUrl = config.opUrl + "?prompt=none" +
+                "&client_id="     + config.clientId +
+                "&response_type=" + config.responseType +
+                "&redirect_uri="  + config.redirectUri + 
+                "&state=" + encodeURIComponent(state);
+
+        if (config.responseType === "id_token" || config.responseType === "code") {
+            var nonce = randomString();
+            sessionStorage.setItem("sessionCheckNonce-" + config.authId, nonce);
+            authorizationUrl += "&nonce=" + nonce;
+        }
+
+        if (config.scope) {
+            authorizationUrl += "&scope=" + config.scope;
+        }
+
+        if (config.idToken) {
+            authorizationUrl += "&id_token_hint=" + config.idToken;
+        }
+
+        if (config.responseType === "code") {
+            // the code_verifier is later sent by the sessionCheckFrame code, when it exchanges the code
+            codeVerifier = randomString();
+            sessionStorage.setItem("sessionCheckCodeVerifier-" + config.authId, codeVerifier);
+            codeChallenge(codeVerifier).then(function (challenge) {
+                if (config.iframe && config.pendingRequestId === requestId) {
+                    navigate(authorizationUrl +
+                        "&code_challenge=" + challenge +
+                        "&code_challenge_method=S256");
+                }
+            }, function () {
+                if (config.iframe && endRequest.call(config, requestId)) {
+                    config.sessionCheckFailedHandle("code_challenge_failed");
+                }
+            });
+            return;
+        }
+
+        navigate(authorizationUrl);
+    };
+
+    /**
+     * Reasons returned from a prompt=none request when the OP doesn't find its session,
+     * which is also how it responds when the browser withholds its cookies.
+     */
+    var THIRD_PARTY_COOKIE_REASONS = ["login_required", "interaction_required"];
+
+    /**
+     * Private function used to recognise the responses to fallback session checks, which are
+     * made outside of the hidden iframe (within the popup window, or the storageAccessUrl frame).
+     */
+    var isFallbackSource = function (source) {
+        return Boolean(source) && ((this.popup && source === this.popup) ||
+            (this.storageAccess && source === this.storageAccess.frame.contentWindow));
+    };
+
+    /**
+     * Private function used to recognise a failed session check which is most likely due to
+     * the browser blocking the OP cookies within the hidden iframe (as Safari and Firefox do to
+     * prevent cross-site tracking), rather than the OP session having ended. This is assumed
+     * when the OP is on another origin, and no session check has succeeded yet within the
+     * iframe - since the user has only just logged in to the RP using the OP session.
+     * Later failures are only assumed to be the same problem while there is a fallback to
+     * tell the difference, and a sessionCheckErrorHandler to hear about it; otherwise, an
+     * OP session which has really ended would never be reported as invalid.
+     */
+    var isThirdPartyCookieFailure = function (reason, config) {
+        if (!this.thirdPartyCookieFallback ||
+                THIRD_PARTY_COOKIE_REASONS.indexOf(reason) === -1 ||
+                this.opUrlOrigin === document.location.origin) {
+            return false;
+        }
+        if (!this.thirdPartyCookiesBlocked) {
+            return !this.initialSessionSucceeded;
+        }
+        return this.thirdPartyCookieFallback !== "none" && Boolean(config.sessionCheckErrorHandler);
+    };
+
+    /**
+     * Private function called when the OP cookies appear to be blocked within the hidden iframe.
+     * The "redirect" fallback is used straight away, unless it has already been used within
+     * this browser session; the other fallbacks need a user gesture, so are left to the app
+     * (see fallbackSessionCheck).
+     */
+    var thirdPartyCookiesDetected = function (config) {
+        this.thirdPartyCookiesBlocked = true;
+        if (this.thirdPartyCookieFallback === "redirect" &&
+                !sessionStorage.getItem("sessionCheckThirdPartyCookiesBlocked-" + this.authId)) {
+            sessionStorage.setItem("sessionCheckThirdPartyCookiesBlocked-" + this.authId, "true");
+            redirectSessionCheck(this);
+            return;
+        }
+        sessionCheckFailed.call(this, "third_party_cookies_blocked", config);
+    };
+
+    /**
+     * Private function used to check the session by redirecting the whole page to the OP with
+     * prompt=none, where its cookies are first-party. The sessionCheckFrame code stores the
+     * result and returns to the current URL, where it is reported by the next SessionCheck
+     * instance created with the same authId (along with the state saved by saveAppState).
+     */
+    var redirectSessionCheck = function (config) {
+        sessionStorage.setItem("sessionCheckReturnUrl-" + config.authId, window.location.href);
+        if (config.saveAppState) {
+            sessionStorage.setItem("sessionCheckAppState-" + config.authId, JSON.stringify(config.saveAppState()));
+        }
+        authorizationRequest(config, function (url) {
+            window.location.assign(url);
+        });
+    };
+
+    /**
+     * Private function used to report the result of the top-level session check made before
+     * this page was loaded, and to hand the saved state back to the app.
+     */
+    var redirectSessionCheckReturned = function (result, config) {
+        var appState = sessionStorage.getItem("sessionCheckAppState-" + this.authId);
+
+        sessionStorage.removeItem("sessionCheckAppState-" + this.authId);
+        if (config.restoreAppState && appState) {
+            config.restoreAppState(JSON.parse(appState));
+        }
+        this.request_check_count++;
+        if (result.message === "sessionCheckSucceeded") {
+            sessionCheckSucceeded.call(this, result.claims, config);
+        } else {
+            sessionCheckFailed.call(this, result.reason, config);
+        }
+    };
+
+    /**
+     * Private function used to check the session within a popup window, where the OP cookies
+     * are first-party. The sessionCheckFrame code posts the result back and closes the popup.
+     * Browsers only allow the popup to be opened during the user gesture, so it is opened
+     * straight away - once the nonce and code_verifier have been stored, so that the popup
+     * gets a copy of them - even if the code_challenge isn't ready until later.
+     */
+    var popupSessionCheck = function (config) {
+        var popupUrl;
+
+        config.popup = null;
+        authorizationRequest(config, function (url) {
+            if (config.popup) {
+                config.popup.location.replace(url);
+            } else {
+                popupUrl = url;
+            }
+        }, true);
+        config.popup = window.open(popupUrl || "about:blank", "sessionCheckPopup-" + config.authId, "width=500,height=600");
+        if (!config.popup && endRequest.call(config, config.pendingRequestId)) {
+            config.sessionCheckFailedHandle("popup_blocked");
+        }
+    };
+
+    /**
+     * How long (in ms) to wait for the user to respond to the storageAccessUrl page.
+     */
+    var STORAGE_ACCESS_TIMEOUT = 120000;
+
+    /**
+     * Private function used to ask for access to the OP cookies within the hidden iframe, using
+     * the Storage Access API. The browser only allows this from a document on the OP origin,
+     * following a user gesture within it, so the storageAccessUrl page (hosted by the OP) is
+     * shown in a frame within the container. It posts back whether access was granted. Some
+     * browsers (such as Safari) only grant access to the frame which asked for it, so the
+     * prompt=none request is then made within that frame, rather than the hidden iframe; the
+     * frame is removed once its response arrives (or the request times out). While waiting on
+     * the user, other session checks carry on as usual; if the user doesn't respond in time,
+     * access is treated as denied. Returns a Promise which resolves with the result.
+     */
+    var storageAccessSessionCheck = function (config, container) {
+        var frame;
+
+        if (config.storageAccess) {
+            // the user hasn't responded to the page which is already shown, or its session check hasn't finished
+            return new Promise(function (resolve) {
+                (config.storageAccess.granted ? config.resultResolvers : config.storageAccess.resolvers).push(resolve);
+            });
+        }
+
+        frame = document.createElement("iframe");
+
+        return new Promise(function (resolve) {
+            var finish = function (granted) {
+                var resolvers = config.storageAccess.resolvers;
+                if (!granted) {
+                    endStorageAccess.call(config);
+                    config.sessionCheckFailedHandle("third_party_cookies_blocked");
+                    resolvers.forEach(function (resolveResult) {
+                        resolveResult(config.lastResult);
+                    });
+                    return;
+                }
+                config.storageAccess.granted = true;
+                window.removeEventListener("message", config.storageAccess.messageHandle);
+                clearTimeout(config.storageAccess.timer);
+                config.storageAccess.timer = setTimeout(endStorageAccess.bind(config), config.checkTimeout * 1000);
+                config.storageAccess.resolvers = [];
+                Array.prototype.push.apply(config.resultResolvers, resolvers);
+                config.request_check_count++;
+                authorizationRequest(config, function (url) {
+                    frame.contentWindow.postMessage({
+                        "message": "sessionCheck",
+                        "url": url
+                    }, config.storageAccessOrigin);
+                });
+            };
+
+            config.storageAccess = {
+                "frame": frame,
+                "resolvers": [resolve],
+                "timer": setTimeout(function () {
+                    finish(false);
+                }, STORAGE_ACCESS_TIMEOUT),
+                "messageHandle": function (e) {
+                    if (e.source === frame.contentWindow && e.origin === config.storageAccessOrigin) {
+                        finish(e.data.message === "storageAccessGranted");
+                    }
+                }
+            };
+            window.addEventListener("message", config.storageAccess.messageHandle);
+
+            frame.setAttribute("id", "sessionCheckStorageAccessFrame-" + config.authId);
+            frame.setAttribute("src", config.storageAccessUrl +
+                (config.storageAccessUrl.indexOf("?") === -1 ? "?" : "&") +
+                "origin=" + encodeURIComponent(document.location.origin));
+            (container || document.getElementsByTagName("body")[0]).appendChild(frame);
+        });
+    };
+
+    /**
+     * Private function used to remove the storageAccessUrl frame, once the user has denied
+     * access, or the session check made within it has finished (or either has timed out, or
+     * this instance is destroyed).
+     */
+    var endStorageAccess = function () {
+        var storageAccess = this.storageAccess;
+        this.storageAccess = null;
+        clearTimeout(storageAccess.timer);
+        window.removeEventListener("message", storageAccess.messageHandle);
+        if (storageAccess.frame.parentNode) {
+            storageAccess.frame.parentNode.removeChild(storageAccess.frame);
+        }
+    };
+
+    /**
+     * Versions of the AM REST API used for each action on the sessions endpoint.
+     */
+    var AM_API_VERSIONS = {
+        "getSessionInfo": "resource=4.0, protocol=1.0",
+        "getSessionInfoAndResetIdleTime": "resource=4.0, protocol=1.0",
+        "getSessionProperties": "resource=4.0, protocol=1.0",
+        "logout": "resource=3.1, protocol=1.0"
+    };
+
+    /**
+     * Names of the document events which count as user activity when refreshing the AM session.
+     */
+    var USER_ACTIVITY_EVENTS = ["click", "keydown", "scroll", "touchstart"];
+
+    /**
+     * Private function used to call an action on the AM sessions endpoint for the ssoToken.
+     * Returns a Promise which resolves with the parsed response, or rejects with the reason
+     * the request failed.
+     */
+    var amSessionRequest = function (config, action) {
+        return new Promise(function (resolve, reject) {
+            var req = new XMLHttpRequest();
+            req.addEventListener("load", function () {
+                var response;
+                if (this.status === 401) {
+                    reject("unauthorized");
+                    return;
+                }
+                if (this.status === 403) {
+                    reject("forbidden");
+                    return;
+                }
+                if (this.status >= 400 && this.status < 500) {
+                    // retrying won't help, since AM has rejected the request itself
+                    reject("client_error");
+                    return;
+                }
+                if (this.status >= 500) {
+                    reject("server_error");
+                    return;
+                }
+                try {
+                    if (this.status < 200 || this.status >= 300) {
+                        throw this.status;
+                    }
+                    response = JSON.parse(this.responseText);
+                } catch (e) {
+                    reject("invalid_response");
+                    return;
+                }
+                resolve(response);
+            });
+            req.addEventListener("error", function () {
+                // the browser doesn't say why the request failed; when online, it was most likely blocked by CORS
+                reject(navigator.onLine ? "cors_error" : "network_error");
+            });
+            req.open("POST", config.amUrl + "/sessions?_action=" + action);
+            req.setRequestHeader(config.ssoTokenName, config.ssoToken);
+            req.setRequestHeader("Accept-API-Version", AM_API_VERSIONS[action]);
+            req.send();
+        });
+    };
+
+    /**
+     * Private function used to warn when the AM session is about to expire, based on
+     * the earlier of its idle and max session expiration times.
+     */
+    var scheduleSessionInfoExpiryWarning = function (sessionInfo) {
+        var expirationTimes = [sessionInfo.maxIdleExpirationTime, sessionInfo.maxSessionExpirationTime]
+            .filter(Boolean)
+            .map(function (time) {
+                return Date.parse(time);
+            });
+        if (expirationTimes.length) {
+            scheduleExpiryWarning.call(this, Math.min.apply(Math, expirationTimes));
+        }
+    };
+
+    /**
+     * Private function used to check the AM session, by reading its info. Unlike _action=validate,
+     * this doesn't reset the idle time of the session - unless the user has been active since
+     * the last refresh, when getSessionInfoAndResetIdleTime is used instead. AM rejects the
+     * session token with a 401 once the session is no longer valid. Then its properties are
+     * read, if requested.
+     */
+    var amSessionCheck = function (config) {
+        var requestId = beginRequest.call(config);
+        var session = {};
+        var refresh = config.refreshSession && config.lastActivity > config.lastRefresh;
+
+        amSessionRequest(config, refresh ? "getSessionInfoAndResetIdleTime" : "getSessionInfo").then(function (sessionInfo) {
+            var failure = config.validationHandler(sessionInfo);
+            if (failure) {
+                throw failure;
+            }
+            if (refresh) {
+                config.lastRefresh = (new Date()).getTime();
+            }
+            session.info = sessionInfo;
+            if (config.sessionProperties && config.sessionInfoHandler) {
+                return amSessionRequest(config, "getSessionProperties");
+            }
+        }).then(function (properties) {
+            if (endRequest.call(config, requestId)) {
+                session.properties = properties;
+                config.sessionCheckSucceededHandle(session);
+            }
+        }, function (reason) {
+            if (endRequest.call(config, requestId)) {
+                config.sessionCheckFailedHandle(reason === "unauthorized" ? "invalid_session" : reason);
+            }
+        });
+    };
+
+    /**
+     * Private function only to be called through the triggerSessionCheck function.
+     * Responsible for starting the interaction with the identity provider, using
+     * whichever method appropriate. If using standard approach, then it will either
+     * message the OP's check_session_iframe (when configured) or make the prompt=none
+     * authorization request within the hidden iframe. If using the ForgeRock approach,
+     * then it makes an XHR call to the session validation endpoint.
+     */
+    var sessionCheckRequest = function(config) {
+        if (config.ssoToken) {
+            amSessionCheck(config);
+        } else if (config.checkSessionIframe) {
+            if (!config.opFrame) {
+                // This session check instance has been destroyed
+                return;
+            }
+            config.checkSessionRequestId = beginRequest.call(config);
+            if (!config.opFrameLoaded) {
+                config.checkSessionPending = true;
+                return;
+            }
+            postCheckSessionMessage(config);
+        } else {
+            authorizationRequest(config);
+        }
+    };
+
+    /** @function fromIssuer
+     * Creates a SessionCheck instance configured from the OP discovery document, found at
+     * config.issuer + "/.well-known/openid-configuration". The authorization_endpoint, token_endpoint,
+     * check_session_iframe, end_session_endpoint and jwks_uri values are used unless they
+     * have been explicitly configured, and the configured responseType must be one the OP supports.
+     * @param {Object} config - the same configuration as the constructor, with the issuer value required
+     * @returns {Promise} resolves with the SessionCheck instance, or rejects if the issuer is missing or the OP cannot support the config
+     * @example
+     * SessionCheck.fromIssuer({
+     *     issuer: "https://login.example.com/oauth2",
+     *     clientId: "myRP",
+     *     invalidSessionHandler: logoutFromRP
+     * }).then(function (sessionCheck) {
+     *     sessionCheck.triggerSessionCheck();
+     * });
+     */
+    module.exports.fromIssuer = function (config) {
+        if (!config || !config.issuer) {
+            return Promise.reject("To use SessionCheck.fromIssuer, you must supply an issuer value.");
         }
+        return fetch(config.issuer.replace(/\/$/, "") + "/.well-known/openid-configuration")
+            .then(function (response) {
+                if (!response.ok) {
+                    throw "Unable to read the discovery document for " + config.issuer + " (HTTP " + response.status + ").";
+                }
+                return response.json();
+            })
+            .then(function (discovery) {
+                return new module.exports(applyDiscoveryDocument(config, discovery));
+            });
     };
 
     /** @function triggerSessionCheck
      * Call this function as frequently as you like (based on either events or
      * set intervals) - the check to the OP will only occur once per cooldown period.
+     * When using crossTab, tabs other than the leader ask the leader to check instead.
+     * @returns {Promise} resolves with the result of the session check, which has these properties:
+     * - status - "valid", "invalid" or "error" (or "unknown", if skipped before any session check has completed)
+     * - reason - the reason the session is invalid, or couldn't be checked
+     * - claims - the claims from the latest id_token, when using responseType=id_token or code
+     * - session - the AM session info (and properties), when using the ForgeRock-specific method and they have been read
+     * - requestCheckCount - the number of session check requests that have been made so far
+     * - skipped - true if no request was made due to the cooldown period, in which case the other properties are from the last result
      */
     module.exports.prototype.triggerSessionCheck = function () {
         // Helper function used to prevent simultaneous requests being issued
-        function sessionCheckRequestCooldown() {
+        function sessionCheckRequestCooldown(resolve) {
             var timestamp = (new Date()).getTime();
+            if (this.destroyed) {
+                resolve(destroyedResult.call(this));
+                return;
+            }
+            if (this.pendingRequestId || this.resultResolvers.length) {
+                // the previous request is still in-flight, so share its result
+                this.resultResolvers.push(resolve);
+                return;
+            }
             if (!this.checkSessionTimestamp || (this.checkSessionTimestamp + (this.cooldownPeriod * 1000)) < timestamp) {
                 this.checkSessionTimestamp = timestamp;
+                this.resultResolvers.push(resolve);
+                if (this.crossTab && !this.isLeader) {
+                    crossTabBroadcast.call(this, {
+                        "message": "sessionCheckRequested",
+                        "lastActivity": this.lastActivity
+                    });
+                    return;
+                }
                 this.request_check_count++;
                 sessionCheckRequest(this);
+            } else {
+                resolve(skippedResult.call(this));
             }
         }
 
-        sessionCheckRequestCooldown.call(this);
+        return new Promise(sessionCheckRequestCooldown.bind(this));
+    };
+
+    /** @function fallbackSessionCheck
+     * Checks the session using the configured thirdPartyCookieFallback, after a session check has
+     * reported "third_party_cookies_blocked". The "popup" and "storageAccess" fallbacks must be
+     * started from a user gesture (such as a click); the "redirect" fallback leaves the page,
+     * and its result is reported once the page has been returned to.
+     * @param {Element} [container] - where to show the OP's storageAccessUrl page, when using the "storageAccess" fallback. Defaults to the document body.
+     * @returns {Promise} resolves with the result of the session check, the same as triggerSessionCheck
+     */
+    module.exports.prototype.fallbackSessionCheck = function (container) {
+        if (this.destroyed) {
+            return Promise.resolve(destroyedResult.call(this));
+        }
+        if (this.thirdPartyCookieFallback === "storageAccess") {
+            return storageAccessSessionCheck(this, container);
+        }
+        return new Promise((function (resolve) {
+            this.resultResolvers.push(resolve);
+            if (this.thirdPartyCookieFallback === "redirect") {
+                redirectSessionCheck(this);
+                return;
+            }
+            if (this.thirdPartyCookieFallback === "popup") {
+                this.request_check_count++;
+                popupSessionCheck(this);
+                return;
+            }
+            this.sessionCheckFailedHandle("third_party_cookies_blocked");
+        }).bind(this));
+    };
+
+    /** @function on
+     * Subscribes to session check events. Each handler is called with the same result
+     * object that triggerSessionCheck resolves with. The events are:
+     * - valid - after every successful session check
+     * - invalid - after every session check which found the session to be invalid
+     * - claims - after every successful session check which returned claims
+     * - error - after every session check which couldn't be completed
+     * - first-success - after the first successful session check
+     * @param {string} eventName - the name of the event
+     * @param {function} handler - function to be called with the result whenever the event occurs
+     * @returns {Object} this SessionCheck instance, so that calls can be chained
+     */
+    module.exports.prototype.on = function (eventName, handler) {
+        this.eventHandlers[eventName] = (this.eventHandlers[eventName] || []).concat(handler);
+        return this;
+    };
+
+    /** @function off
+     * Unsubscribes a handler previously subscribed to an event using on.
+     * @param {string} eventName - the name of the event
+     * @param {function} handler - the handler to remove
+     * @returns {Object} this SessionCheck instance, so that calls can be chained
+     */
+    module.exports.prototype.off = function (eventName, handler) {
+        this.eventHandlers[eventName] = (this.eventHandlers[eventName] || []).filter(function (existingHandler) {
+            return existingHandler !== handler;
+        });
+        return this;
+    };
+
+    /** @function start
+     * Starts checking the session automatically, based on the scheduler config options.
+     * The session is checked immediately, then every pollInterval seconds and whenever one
+     * of the configured events occurs (still limited to once per cooldown period). When
+     * using the checkSessionIframe, the OP frame is also messaged every checkSessionInterval seconds.
+     */
+    module.exports.prototype.start = function () {
+        if (this.scheduled) {
+            return;
+        }
+        this.scheduled = true;
+        this.scheduledEventHandle = scheduledEventHandler.bind(this);
+
+        if (this.checkOnVisible || this.pauseWhenHidden) {
+            document.addEventListener("visibilitychange", this.scheduledEventHandle);
+        }
+        if (this.checkOnFocus) {
+            window.addEventListener("focus", this.scheduledEventHandle);
+        }
+        if (this.checkOnOnline) {
+            window.addEventListener("online", this.scheduledEventHandle);
+        }
+        this.activityEvents.forEach(function (eventName) {
+            document.addEventListener(eventName, this.scheduledEventHandle);
+        }, this);
+
+        if (!this.pauseWhenHidden || document.visibilityState !== "hidden") {
+            this.triggerSessionCheck();
+        }
+        scheduleSessionCheck.call(this);
+        scheduleCheckSessionMessage.call(this);
+    };
+
+    /** @function stop
+     * Stops the automatic session checks started by start(). The session can still be
+     * checked by calling triggerSessionCheck.
+     */
+    module.exports.prototype.stop = function () {
+        if (!this.scheduled) {
+            return;
+        }
+        this.scheduled = false;
+        clearTimeout(this.pollTimer);
+        clearInterval(this.checkSessionTimer);
+
+        document.removeEventListener("visibilitychange", this.scheduledEventHandle);
+        window.removeEventListener("focus", this.scheduledEventHandle);
+        window.removeEventListener("online", this.scheduledEventHandle);
+        this.activityEvents.forEach(function (eventName) {
+            document.removeEventListener(eventName, this.scheduledEventHandle);
+        }, this);
+        this.scheduledEventHandle = null;
+    };
+
+    /** @function logout
+     * Ends the session at the OP. When using the ForgeRock-specific method, the AM session
+     * is logged out using the REST API; otherwise, the browser is redirected to the OP's
+     * End Session Endpoint, including the idToken as the id_token_hint.
+     * @param {Object} [options]
+     * @param {string} [options.postLogoutRedirectUri] - Where the browser should be sent after logging out. For the standards-based method, this must be registered with the OP.
+     * @returns {Promise} when using the ForgeRock-specific method, resolves once the AM session has been logged out, or rejects with the reason it couldn't be.
+     * Rejects when there is no endSessionEndpoint to redirect to.
+     */
+    module.exports.prototype.logout = function (options) {
+        var postLogoutRedirectUri = options && options.postLogoutRedirectUri;
+        var endSessionUrl;
+
+        if (!this.ssoToken && !this.endSessionEndpoint) {
+            return Promise.reject("To log out, you must supply an endSessionEndpoint value (or use SessionCheck.fromIssuer with an OP which provides one).");
+        }
+
+        this.stop();
+
+        if (this.ssoToken) {
+            return amSessionRequest(this, "logout").then(function () {
+                if (postLogoutRedirectUri) {
+                    window.location.assign(postLogoutRedirectUri);
+                }
+            });
+        }
+
+        endSessionUrl = this.endSessionEndpoint +
+            (this.endSessionEndpoint.indexOf("?") === -1 ? "?" : "&") +
+            "client_id=" + encodeURIComponent(this.clientId);
+        if (this.idToken) {
+            endSessionUrl += "&id_token_hint=" + this.idToken;
+        }
+        if (postLogoutRedirectUri) {
+            endSessionUrl += "&post_logout_redirect_uri=" + encodeURIComponent(postLogoutRedirectUri);
+        }
+        window.location.assign(endSessionUrl);
+        return Promise.resolve();
     };
 
     /**
-     * Destroys the OIDC session check instance to allow garbage collection; removes the iframe and associated iframe event listeners.
+     * Destroys the OIDC session check instance to allow garbage collection; stops the scheduler, hands off cross-tab leadership and removes the iframe and associated iframe event listeners.
      * Recommend dereferencing of session check after destruction to prevent use of impotent SessionCheck instance.
      * @example
      * // Good example
@@ -211,13 +1617,64 @@
      * this.sc = null // does not remove iframe or event listener, meaning events will still occur and the garbage collector will not collect this.sc
      */
     module.exports.prototype.destroy = function() {
+        this.stop();
         if (this.iframe && this.iframe.parentNode) {
             this.iframe.parentNode.removeChild(this.iframe);
         }
+        if (this.opFrame && this.opFrame.parentNode) {
+            this.opFrame.parentNode.removeChild(this.opFrame);
+        }
+        clearInterval(this.checkSessionTimer);
+        clearTimeout(this.requestTimer);
+        clearTimeout(this.expiryTimer);
+        this.pendingRequestId = null;
+        if (this.storageAccess) {
+            this.resultResolvers = this.resultResolvers.concat(this.storageAccess.resolvers);
+            endStorageAccess.call(this);
+        }
+        this.destroyed = true;
+        sessionCheckCompleted.call(this, destroyedResult.call(this));
+        this.eventHandlers = {};
+        if (this.userActivityHandle) {
+            USER_ACTIVITY_EVENTS.forEach(function (eventName) {
+                document.removeEventListener(eventName, this.userActivityHandle, { "capture": true, "passive": true });
+            }, this);
+            this.userActivityHandle = null;
+        }
         sessionStorage.removeItem("sessionCheckSubject-" + this.authId);
         sessionStorage.removeItem("sessionCheckNonce-" + this.authId);
+        sessionStorage.removeItem("sessionCheckClientId-" + this.authId);
+        sessionStorage.removeItem("sessionCheckClockSkew-" + this.authId);
+        sessionStorage.removeItem("sessionCheckIssuer-" + this.authId);
+        sessionStorage.removeItem("sessionCheckJwksUri-" + this.authId);
+        sessionStorage.removeItem("sessionCheckJwks-" + this.authId);
+        sessionStorage.removeItem("sessionCheckTokenEndpoint-" + this.authId);
+        sessionStorage.removeItem("sessionCheckRedirectUri-" + this.authId);
+        sessionStorage.removeItem("sessionCheckCodeVerifier-" + this.authId);
+        if (this.popup) {
+            this.popup.close();
+            this.popup = null;
+        }
         removeEventListener("message", this.eventListenerHandle, false);
+        if (this.crossTab) {
+            crossTabResign.call(this);
+            clearInterval(this.leaderTimer);
+            window.removeEventListener("pagehide", this.crossTabResignHandle);
+            if (this.broadcastChannel) {
+                this.broadcastChannel.close();
+            } else {
+                window.removeEventListener("storage", this.storageEventHandle);
+            }
+            this.broadcastChannel = null;
+            this.crossTab = false;
+        }
+        if (this.logoutChannel) {
+            this.logoutChannel.close();
+            this.logoutChannel = null;
+        }
+        window.removeEventListener("storage", this.logoutStorageEventHandle);
         this.iframe = null;
+        this.opFrame = null;
         this.eventListenerHandle = null;
     };
 }());
@@ -1 +1 @@
-"use strict";(function(){function b(d,e,g){function a(j,i){if(!e[j]){if(!d[j]){var f="function"==typeof require&&require;if(!i&&f)return f(j,!0);if(h)return h(j,!0);var c=new Error("Cannot find module '"+j+"'");throw c.code="MODULE_NOT_FOUND",c}var k=e[j]={exports:{}};d[j][0].call(k.exports,function(b){var c=d[j][1][b];return a(c||b)},k,k.exports,b,d,e,g)}return e[j].exports}for(var h="function"==typeof require&&require,c=0;c<g.length;c++)a(g[c]);return a}return b})()({1:[function(){(function(){"use strict";function a(a){return JSON.parse(atob(a.split(".")[1].replace("-","+").replace("_","/")))}if(parent.window.origin===window.origin){var b=window.location.hash.replace("#","").concat("&"+window.location.search.replace("?","")).split("&").reduce(function(a,b){var c=b.split("=");return c[0]&&c[1]&&(a[c[0]]=c[1]),a},{});if(b.id_token){var c=a(b.id_token),d=sessionStorage.getItem("sessionCheckNonce-"+b.state);if(+d!==+c.nonce)return void parent.postMessage({message:"sessionCheckFailed",reason:"nonce_mismatch",authId:b.state},document.location.origin);var e=sessionStorage.getItem("sessionCheckSubject-"+b.state);if(void 0!==e&&c.sub!==e)return void parent.postMessage({message:"sessionCheckFailed",reason:"subject_mismatch",authId:b.state},document.location.origin);parent.postMessage({message:"sessionCheckSucceeded",claims:c,authId:b.state},document.location.origin)}else{if(b.error)return void parent.postMessage({message:"sessionCheckFailed",reason:b.error},document.location.origin);parent.postMessage({message:"sessionCheckSucceeded",authId:b.state},document.location.origin)}}})()},{}]},{},[1]);
+"use strict";(function(){function b(d,e,g){function a(j,i){if(!e[j]){if(!d[j]){var f="function"==typeof require&&require;if(!i&&f)return f(j,!0);if(h)return h(j,!0);var c=new Error("Cannot find module '"+j+"'");throw c.code="MODULE_NOT_FOUND",c}var k=e[j]={exports:{}};d[j][0].call(k.exports,function(b){var c=d[j][1][b];return a(c||b)},k,k.exports,b,d,e,g)}return e[j].exports}for(var h="function"==typeof require&&require,c=0;c<g.length;c++)a(g[c]);return a}return b})()({1:[function(){(function(){"use strict";function a(a){for(var b=a.replace(/-/g,"+").replace(/_/g,"/");b.length%4;)b+="=";for(var c=atob(b),d=new Uint8Array(c.length),e=0;e<c.length;e++)d[e]=c.charCodeAt(e);return d}function b(b){return JSON.parse(new TextDecoder().decode(a(b)))}function c(a,b,c){var d=sessionStorage.getItem("sessionCheckJwks-"+b);return d&&!c?Promise.resolve(JSON.parse(d)):fetch(a).then(function(a){if(!a.ok)throw"jwks_unavailable";return a.json().then(null,function(){throw"jwks_unavailable"})},function(){throw"jwks_unavailable"}).then(function(a){return sessionStorage.setItem("sessionCheckJwks-"+b,JSON.stringify(a)),a})}function d(a,b){return(a.keys||[]).filter(function(a){return(!b.kid||a.kid===b.kid)&&(!a.use||"sig"===a.use)&&a.kty===("RS256"===b.alg?"RSA":"EC")})[0]}function e(b,e,f,g){var h=j[e.alg];return h?c(f,g,!1).then(function(a){var b=d(a,e);return b?b:c(f,g,!0).then(function(a){if(b=d(a,e),!b)throw"unknown_signing_key";return b})}).then(function(a){return crypto.subtle.importKey("jwk",h.jwk(a),h["import"],!1,["verify"])}).then(function(c){return crypto.subtle.verify(h.verify,c,a(b[2]),new TextEncoder().encode(b[0]+"."+b[1]))}).then(function(a){if(!a)throw"invalid_signature"},function(a){throw"string"==typeof a?a:"invalid_signature"}):Promise.reject("unsupported_alg")}function f(a,b){var c=Math.floor,d=c(Date.now()/1e3),e=+sessionStorage.getItem("sessionCheckClockSkew-"+b)||0,f=sessionStorage.getItem("sessionCheckIssuer-"+b),g=sessionStorage.getItem("sessionCheckClientId-"+b),h=[].concat(a.aud),i=sessionStorage.getItem("sessionCheckNonce-"+b),j=sessionStorage.getItem("sessionCheckSubject-"+b);return f&&a.iss===f?-1===h.indexOf(g)?"audience_mismatch":(1<h.length||void 0!==a.azp)&&a.azp!==g?"azp_mismatch":"number"!=typeof a.exp||d>a.exp+e?"token_expired":"number"!=typeof a.iat||a.iat>d+e?"iat_in_future":i&&i===a.nonce?null!==j&&a.sub!==j?"subject_mismatch":void 0:"nonce_mismatch":"issuer_mismatch"}function g(a,c){var d,g,h=a.split("."),i=sessionStorage.getItem("sessionCheckJwksUri-"+c);try{d=b(h[0]),g=b(h[1])}catch(a){return Promise.reject("invalid_token")}return i?e(h,d,i,c).then(function(){var a=f(g,c);if(a)throw a;return g}):Promise.reject("jwks_unavailable")}function h(a,b){var c=sessionStorage.getItem("sessionCheckCodeVerifier-"+b);return sessionStorage.removeItem("sessionCheckCodeVerifier-"+b),fetch(sessionStorage.getItem("sessionCheckTokenEndpoint-"+b),{method:"POST",headers:{"Content-Type":"application/x-www-form-urlencoded"},body:"grant_type=authorization_code&code="+encodeURIComponent(a)+"&redirect_uri="+encodeURIComponent(sessionStorage.getItem("sessionCheckRedirectUri-"+b))+"&client_id="+encodeURIComponent(sessionStorage.getItem("sessionCheckClientId-"+b))+"&code_verifier="+encodeURIComponent(c)}).then(function(a){if(500<=a.status)throw"server_error";return a.json().then(function(b){if(!a.ok||!b.id_token)throw b.error||"invalid_token_response";return b.id_token},function(){throw"invalid_token_response"})},function(){throw"network_error"})}function i(a){var b;o?window.opener&&window.opener!==window&&(window.opener.postMessage(a,document.location.origin),window.close()):parent===window?(b=sessionStorage.getItem("sessionCheckReturnUrl-"+a.authId),b&&(sessionStorage.removeItem("sessionCheckReturnUrl-"+a.authId),sessionStorage.setItem("sessionCheckRedirectResult-"+a.authId,JSON.stringify(a)),window.location.replace(b))):parent.postMessage(a,document.location.origin)}if(parent.window.origin===window.origin){var j={RS256:{import:{name:"RSASSA-PKCS1-v1_5",hash:"SHA-256"},verify:{name:"RSASSA-PKCS1-v1_5"},jwk:function(a){return{kty:a.kty,n:a.n,e:a.e}}},ES256:{import:{name:"ECDSA",namedCurve:"P-256"},verify:{name:"ECDSA",hash:"SHA-256"},jwk:function(a){return{kty:a.kty,crv:a.crv,x:a.x,y:a.y}}}},k=window.location.hash.replace("#","").concat("&"+window.location.search.replace("?","")).split("&").reduce(function(a,b){var c=b.split("=");return c[0]&&c[1]&&(a[c[0]]=c[1]),a},{}),l=decodeURIComponent(k.state||""),m=l.substring(0,l.lastIndexOf(".")),n=l.substring(l.lastIndexOf(".")+1),o=0===n.indexOf("popup:");o&&(n=n.substring(6));var p,q=k.session_state&&decodeURIComponent(k.session_state);if(k.id_token?p=Promise.resolve(k.id_token):k.code&&(p=h(decodeURIComponent(k.code),m)),p)p.then(function(a){return g(a,m)}).then(function(a){i({message:"sessionCheckSucceeded",claims:a,sessionState:q,authId:m,requestId:n})},function(a){i({message:"sessionCheckFailed",reason:"string"==typeof a?a:"invalid_token",authId:m,requestId:n})});else{if(k.error)return void i({message:"sessionCheckFailed",reason:k.error,authId:m,requestId:n});i({message:"sessionCheckSucceeded",sessionState:q,authId:m,requestId:n})}}})()},{}]},{},[1]);
@@ -1,3 +1,4 @@
+/* global Promise, Uint8Array */
 (function () {
     "use strict";
     /**
@@ -8,10 +9,14 @@
      * entries. Note that it is expected that there should never be any "access_token"
      * values present in either form of the parameters.
      *
+     * If you are using the "code" response type, the code is exchanged for an id_token at the
+     * token endpoint (using PKCE), and that id_token is then handled in the same way as one
+     * returned directly from the "id_token" response type. Any other tokens are discarded.
+     *
      * For more details on the hash fragment query string format see :
      * https://openid.net/specs/openid-connect-core-1_0.html#ImplicitAuthResponse
      *
-     * If you are using the "id_token" response type, the code expects there to be
+     * If you are using the "id_token" or "code" response type, the code expects there to be
      * these values in sessionStorage prior to handling the authentication response:
      *
      * - "sessionCheckNonce" - This should be set during the authentication request, and it must
@@ -22,23 +27,293 @@
      *                           assumed that a different user has logged into the OP and the RP
      *                           session is therefore invalid.
      *
+     * - "sessionCheckClientId" - The id of the RP client. It must be included in the "aud" claim
+     *                            of the id_token, and must match the "azp" claim if present.
+     *
+     * - "sessionCheckIssuer" - The OP issuer identifier. It must match the "iss" claim of the
+     *                          id_token.
+     *
+     * - "sessionCheckJwksUri" - The OP JSON Web Key Set URL. The RS256 or ES256 signature of the
+     *                           id_token is verified with the matching key. The key set is cached
+     *                           in "sessionCheckJwks".
+     *
+     * - "sessionCheckClockSkew" - The number of seconds of difference allowed between the clocks
+     *                             of the OP and the browser when checking the "exp" and "iat" claims.
+     *
+     * If you are using the "code" response type, these values are also expected:
+     *
+     * - "sessionCheckTokenEndpoint" - The OP token endpoint, which the code is exchanged at.
+     *
+     * - "sessionCheckRedirectUri" - The redirect_uri used in the authentication request.
+     *
+     * - "sessionCheckCodeVerifier" - The PKCE code_verifier, which the code_challenge sent with
+     *                                the authentication request was derived from.
+     *
+     * The "state" parameter is expected to be made up of the authId of the config (used to
+     * find these values) and the id of the request, separated by a "." - both are included in
+     * the messages sent to the parent frame, so that it can ignore responses to old requests.
+     *
      * In the case when any errors are detected with the OP session, a "sessionCheckFailed"
      * message will be sent to the parent frame using the postMessage API.
      *
+     * If the OP supports OIDC Session Management, the "session_state" value from the response
+     * is passed along with a "sessionCheckSucceeded" message, so that the parent frame can
+     * continue to message the OP's check_session_iframe with the current value.
+     *
+     * When the browser blocks the OP cookies within frames, the session may instead be checked
+     * within a popup window (when the request id is prefixed with "popup:"), in which case the
+     * messages are sent to its opener, or by
+     * redirecting the whole page, in which case these values are used:
+     *
+     * - "sessionCheckReturnUrl" - The page to return to. The message is stored in
+     *                             "sessionCheckRedirectResult", for the SessionCheck instance
+     *                             created by that page.
+     *
      */
 
     if (parent.window.origin !== window.origin) {
-        // have to be running within a child frame hosted on the same origin
+        // have to be running within a child frame hosted on the same origin (or a popup window, or the whole page)
         return;
     }
 
     /**
-     * Simple jwt parsing code purely used for extracting claims.
+     * The WebCrypto parameters used to import and verify with the supported JWS algorithms.
      */
-    function getIdTokenClaims(id_token) {
-        return JSON.parse(
-            atob(id_token.split(".")[1].replace("-", "+").replace("_", "/"))
-        );
+    var SIGNATURE_ALGORITHMS = {
+        "RS256": {
+            "import": { "name": "RSASSA-PKCS1-v1_5", "hash": "SHA-256" },
+            "verify": { "name": "RSASSA-PKCS1-v1_5" },
+            "jwk": function (key) {
+                return { "kty": key.kty, "n": key.n, "e": key.e };
+            }
+        },
+        "ES256": {
+            "import": { "name": "ECDSA", "namedCurve": "P-256" },
+            "verify": { "name": "ECDSA", "hash": "SHA-256" },
+            "jwk": function (key) {
+                return { "kty": key.kty, "crv": key.crv, "x": key.x, "y": key.y };
+            }
+        }
+    };
+
+    function base64UrlToBytes(value) {
+        var base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+        while (base64.length % 4) {
+            base64 += "=";
+        }
+        var binary = atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function decodeJwtSegment(segment) {
+        return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+    }
+
+    /**
+     * Returns the OP key set, using the copy cached in sessionStorage unless a refresh is
+     * requested (which happens when the key used to sign the id_token isn't found in the cache).
+     */
+    function getJwks(jwksUri, authId, refresh) {
+        var cached = sessionStorage.getItem("sessionCheckJwks-" + authId);
+        if (cached && !refresh) {
+            return Promise.resolve(JSON.parse(cached));
+        }
+        return fetch(jwksUri)
+            .then(function (response) {
+                if (!response.ok) {
+                    throw "jwks_unavailable";
+                }
+                // an error page returned with a 200 status is an outage too, rather than a bad signature
+                return response.json().then(null, function () {
+                    throw "jwks_unavailable";
+                });
+            }, function () {
+                throw "jwks_unavailable";
+            })
+            .then(function (jwks) {
+                sessionStorage.setItem("sessionCheckJwks-" + authId, JSON.stringify(jwks));
+                return jwks;
+            });
+    }
+
+    function findKey(jwks, header) {
+        return (jwks.keys || []).filter(function (key) {
+            return (!header.kid || key.kid === header.kid) &&
+                (!key.use || key.use === "sig") &&
+                key.kty === (header.alg === "RS256" ? "RSA" : "EC");
+        })[0];
+    }
+
+    function verifySignature(segments, header, jwksUri, authId) {
+        var algorithm = SIGNATURE_ALGORITHMS[header.alg];
+        if (!algorithm) {
+            return Promise.reject("unsupported_alg");
+        }
+        return getJwks(jwksUri, authId, false)
+            .then(function (jwks) {
+                var key = findKey(jwks, header);
+                if (key) {
+                    return key;
+                }
+                // the OP may have rotated its keys since they were cached
+                return getJwks(jwksUri, authId, true).then(function (jwks) {
+                    key = findKey(jwks, header);
+                    if (!key) {
+                        throw "unknown_signing_key";
+                    }
+                    return key;
+                });
+            })
+            .then(function (key) {
+                return crypto.subtle.importKey("jwk", algorithm.jwk(key), algorithm["import"], false, ["verify"]);
+            })
+            .then(function (cryptoKey) {
+                return crypto.subtle.verify(
+                    algorithm.verify,
+                    cryptoKey,
+                    base64UrlToBytes(segments[2]),
+                    new TextEncoder().encode(segments[0] + "." + segments[1])
+                );
+            })
+            .then(function (valid) {
+                if (!valid) {
+                    throw "invalid_signature";
+                }
+            }, function (reason) {
+                throw typeof reason === "string" ? reason : "invalid_signature";
+            });
+    }
+
+    /**
+     * Checks the claims of the id_token against the values stored by the parent frame,
+     * returning the reason for the first failure found.
+     */
+    function getClaimsFailure(claims, authId) {
+        var now = Math.floor(Date.now() / 1000);
+        var clockSkew = Number(sessionStorage.getItem("sessionCheckClockSkew-" + authId)) || 0;
+        var issuer = sessionStorage.getItem("sessionCheckIssuer-" + authId);
+        var clientId = sessionStorage.getItem("sessionCheckClientId-" + authId);
+        var audience = [].concat(claims.aud);
+        var nonce = sessionStorage.getItem("sessionCheckNonce-" + authId);
+        var subject = sessionStorage.getItem("sessionCheckSubject-" + authId);
+
+        if (!issuer || claims.iss !== issuer) {
+            return "issuer_mismatch";
+        }
+        if (audience.indexOf(clientId) === -1) {
+            return "audience_mismatch";
+        }
+        if ((audience.length > 1 || claims.azp !== undefined) && claims.azp !== clientId) {
+            return "azp_mismatch";
+        }
+        if (typeof claims.exp !== "number" || now > claims.exp + clockSkew) {
+            return "token_expired";
+        }
+        if (typeof claims.iat !== "number" || claims.iat > now + clockSkew) {
+            return "iat_in_future";
+        }
+        if (!nonce || nonce !== claims.nonce) {
+            return "nonce_mismatch";
+        }
+        if (subject !== null && claims.sub !== subject) {
+            return "subject_mismatch";
+        }
+    }
+
+    /**
+     * Validates the id_token returned from the OP, resolving with its claims or rejecting
+     * with the reason it is not valid.
+     */
+    function validateIdToken(id_token, authId) {
+        var segments = id_token.split(".");
+        var header;
+        var claims;
+        var jwksUri = sessionStorage.getItem("sessionCheckJwksUri-" + authId);
+
+        try {
+            header = decodeJwtSegment(segments[0]);
+            claims = decodeJwtSegment(segments[1]);
+        } catch (e) {
+            return Promise.reject("invalid_token");
+        }
+
+        if (!jwksUri) {
+            // the claims can't be trusted without verifying the signature
+            return Promise.reject("jwks_unavailable");
+        }
+
+        return verifySignature(segments, header, jwksUri, authId)
+            .then(function () {
+                var failure = getClaimsFailure(claims, authId);
+                if (failure) {
+                    throw failure;
+                }
+                return claims;
+            });
+    }
+
+    /**
+     * Exchanges the code at the token endpoint, resolving with the id_token returned or
+     * rejecting with the reason the exchange failed.
+     */
+    function exchangeCode(code, authId) {
+        var codeVerifier = sessionStorage.getItem("sessionCheckCodeVerifier-" + authId);
+        // each code_verifier is only good for one exchange
+        sessionStorage.removeItem("sessionCheckCodeVerifier-" + authId);
+
+        return fetch(sessionStorage.getItem("sessionCheckTokenEndpoint-" + authId), {
+            "method": "POST",
+            "headers": {
+                "Content-Type": "application/x-www-form-urlencoded"
+            },
+            "body": "grant_type=authorization_code" +
+                "&code=" + encodeURIComponent(code) +
+                "&redirect_uri=" + encodeURIComponent(sessionStorage.getItem("sessionCheckRedirectUri-" + authId)) +
+                "&client_id=" + encodeURIComponent(sessionStorage.getItem("sessionCheckClientId-" + authId)) +
+                "&code_verifier=" + encodeURIComponent(codeVerifier)
+        }).then(function (response) {
+            if (response.status >= 500) {
+                throw "server_error";
+            }
+            return response.json().then(function (tokenResponse) {
+                if (!response.ok || !tokenResponse.id_token) {
+                    throw tokenResponse.error || "invalid_token_response";
+                }
+                return tokenResponse.id_token;
+            }, function () {
+                throw "invalid_token_response";
+            });
+        }, function () {
+            // includes requests blocked by CORS
+            throw "network_error";
+        });
+    }
+
+    /**
+     * Sends the message to the window which made the request - the parent frame or the opener of
+     * the popup window - or stores it and returns to the page which redirected here.
+     */
+    function sendResult(message) {
+        var returnUrl;
+        if (popup) {
+            if (window.opener && window.opener !== window) {
+                window.opener.postMessage(message, document.location.origin);
+                window.close();
+            }
+        } else if (parent !== window) {
+            parent.postMessage(message, document.location.origin);
+        } else {
+            returnUrl = sessionStorage.getItem("sessionCheckReturnUrl-" + message.authId);
+            if (returnUrl) {
+                sessionStorage.removeItem("sessionCheckReturnUrl-" + message.authId);
+                sessionStorage.setItem("sessionCheckRedirectResult-" + message.authId, JSON.stringify(message));
+                window.location.replace(returnUrl);
+            }
+        }
     }
 
     var response_params = window.location.hash
@@ -53,46 +328,64 @@
             return result;
         }, {});
 
-    // will only be seen when the response_type is "id_token"
-    if (response_params.id_token) {
-        var new_claims = getIdTokenClaims(response_params.id_token);
-        var nonce = sessionStorage.getItem("sessionCheckNonce-" + response_params.state);
-        if (Number(nonce) !== Number(new_claims.nonce)) {
-            parent.postMessage({
-                "message": "sessionCheckFailed",
-                "reason": "nonce_mismatch",
-                "authId": response_params.state
-            }, document.location.origin);
-            return;
-        }
+    // the state is made up of the authId of the config and the id of the request, separated by the last "."
+    var state = decodeURIComponent(response_params.state || "");
+    var authId = state.substring(0, state.lastIndexOf("."));
+    var requestId = state.substring(state.lastIndexOf(".") + 1);
+    var popup = requestId.indexOf("popup:") === 0;
+    if (popup) {
+        requestId = requestId.substring("popup:".length);
+    }
 
-        var subject = sessionStorage.getItem("sessionCheckSubject-" + response_params.state);
-        if (subject !== undefined && new_claims.sub !== subject) {
-            parent.postMessage({
-                "message": "sessionCheckFailed",
-                "reason": "subject_mismatch",
-                "authId": response_params.state
-            }, document.location.origin);
-            return;
-        }
+    // only returned by OPs which support OIDC Session Management
+    var session_state = response_params.session_state && decodeURIComponent(response_params.session_state);
 
-        parent.postMessage({
-            "message": "sessionCheckSucceeded",
-            "claims": new_claims,
-            "authId": response_params.state
-        }, document.location.origin);
+    var id_token;
+    if (response_params.id_token) {
+        // will only be seen when the response_type is "id_token"
+        id_token = Promise.resolve(response_params.id_token);
+    } else if (response_params.code) {
+        // will only be seen when the response_type is "code"
+        id_token = exchangeCode(decodeURIComponent(response_params.code), authId);
+    }
+
+    if (id_token) {
+        id_token
+            .then(function (token) {
+                return validateIdToken(token, authId);
+            })
+            .then(function (new_claims) {
+                sendResult({
+                    "message": "sessionCheckSucceeded",
+                    "claims": new_claims,
+                    "sessionState": session_state,
+                    "authId": authId,
+                    "requestId": requestId
+                });
+            }, function (reason) {
+                sendResult({
+                    "message": "sessionCheckFailed",
+                    "reason": typeof reason === "string" ? reason : "invalid_token",
+                    "authId": authId,
+                    "requestId": requestId
+                });
+            });
     } else if (response_params.error) {
-        parent.postMessage({
+        sendResult({
             "message": "sessionCheckFailed",
-            "reason": response_params.error
-        }, document.location.origin);
+            "reason": response_params.error,
+            "authId": authId,
+            "requestId": requestId
+        });
         return;
     } else {
         // should only be here when the response_type is "none"
-        parent.postMessage({
+        sendResult({
             "message": "sessionCheckSucceeded",
-            "authId": response_params.state
-        }, document.location.origin);
+            "sessionState": session_state,
+            "authId": authId,
+            "requestId": requestId
+        });
     }
 
 }());
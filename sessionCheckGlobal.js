@@ -1 +1 @@
-"use strict";(function(a){if("object"==typeof exports&&"undefined"!=typeof module)module.exports=a();else if("function"==typeof define&&define.amd)define([],a);else{var b;b="undefined"==typeof window?"undefined"==typeof global?"undefined"==typeof self?this:self:global:window,b.SessionCheck=a()}})(function(){return function(){function b(d,e,g){function a(j,i){if(!e[j]){if(!d[j]){var f="function"==typeof require&&require;if(!i&&f)return f(j,!0);if(h)return h(j,!0);var c=new Error("Cannot find module '"+j+"'");throw c.code="MODULE_NOT_FOUND",c}var k=e[j]={exports:{}};d[j][0].call(k.exports,function(b){var c=d[j][1][b];return a(c||b)},k,k.exports,b,d,e,g)}return e[j].exports}for(var h="function"==typeof require&&require,c=0;c<g.length;c++)a(g[c]);return a}return b}()({1:[function(a,b){(function(){"use strict";b.exports=function(a){var b;if(this.request_check_count=0,this.cooldownPeriod=a.cooldownPeriod||5,this.subject=a.subject,a.ssoToken)this.ssoTokenName=a.ssoTokenName||"iPlanetDirectoryPro",this.ssoToken=a.ssoToken,this.amUrl=a.amUrl+"/sessions?_action=validate",this.validationHandler=function(b){try{var c=JSON.parse(b)}catch(b){return void a.invalidSessionHandler(b.message,this.request_check_count)}return c.valid?this.subject&&this.subject!==c.uid?void a.invalidSessionHandler("subject_mismatch",this.request_check_count):void(a.initialSessionSuccessHandler&&1===this.request_check_count&&a.initialSessionSuccessHandler()):void a.invalidSessionHandler("invalid_session",this.request_check_count)}.bind(this);else{if(a.redirectUri?this.redirectUri=a.redirectUri:(b=document.createElement("a"),b.href="sessionCheck.html",this.redirectUri=b.href),this.idToken=a.idToken,this.clientId=a.clientId,this.authId=a.authId||"Primary",this.opUrl=a.opUrl,this.responseType=a.responseType||"id_token","none"===this.responseType&&!this.idToken)throw"When using the 'none' response type, you must supply an idToken value to use as a hint when calling the OP.";"id_token"===this.responseType&&(this.scope=a.scope||"openid"),this.iframe=document.createElement("iframe"),this.iframe.setAttribute("id","sessionCheckFrame-"+this.authId),this.iframe.setAttribute("style","display:none"),document.getElementsByTagName("body")[0].appendChild(this.iframe),this.eventListenerHandle=function(b){b.data.authId&&b.data.authId!==this.authId||b.origin!==document.location.origin||("sessionCheckFailed"===b.data.message&&a.invalidSessionHandler&&a.invalidSessionHandler(b.data.reason,this.request_check_count),"sessionCheckSucceeded"===b.data.message&&(a.sessionClaimsHandler&&b.data.claims&&a.sessionClaimsHandler(b.data.claims,this.request_check_count),a.initialSessionSuccessHandler&&1===this.request_check_count&&a.initialSessionSuccessHandler()))}.bind(this),window.addEventListener("message",this.eventListenerHandle),this.subject&&sessionStorage.setItem("sessionCheckSubject-"+this.authId,this.subject)}return this};var a=function(a){if(a.ssoToken){var b=new XMLHttpRequest;b.addEventListener("load",function(){a.validationHandler(this.responseText)}),b.open("POST",a.amUrl),b.setRequestHeader(a.ssoTokenName,a.ssoToken),b.setRequestHeader("Accept-API-Version","resource=2.1, protocol=1.0"),b.send()}else{if(!a.iframe)return;var c=a.opUrl+"?prompt=none&client_id="+a.clientId+"&response_type="+a.responseType+"&redirect_uri="+a.redirectUri+"&state="+a.authId;if("id_token"===a.responseType){var d=Math.floor(1e5*Math.random());sessionStorage.setItem("sessionCheckNonce-"+a.authId,d),c+="&nonce="+d}a.scope&&(c+="&scope="+a.scope),a.idToken&&(c+="&id_token_hint="+a.idToken),a.iframe.contentWindow.location.replace(c)}};b.exports.prototype.triggerSessionCheck=function(){(function(){var b=new Date().getTime();(!this.checkSessionTimestamp||this.checkSessionTimestamp+1e3*this.cooldownPeriod<b)&&(this.checkSessionTimestamp=b,this.request_check_count++,a(this))}).call(this)},b.exports.prototype.destroy=function(){this.iframe&&this.iframe.parentNode&&this.iframe.parentNode.removeChild(this.iframe),sessionStorage.removeItem("sessionCheckSubject-"+this.authId),sessionStorage.removeItem("sessionCheckNonce-"+this.authId),removeEventListener("message",this.eventListenerHandle,!1),this.iframe=null,this.eventListenerHandle=null}})()},{}]},{},[1])(1)});
+"use strict";(function(e){if("object"==typeof exports&&"undefined"!=typeof module)module.exports=e();else if("function"==typeof define&&define.amd)define([],e);else{var s;s="undefined"==typeof window?"undefined"==typeof global?"undefined"==typeof self?this:self:global:window,s.SessionCheck=e()}})(function(){return function(){function s(d,e,n){function t(l,i){if(!e[l]){if(!d[l]){var r="function"==typeof require&&require;if(!i&&r)return r(l,!0);if(o)return o(l,!0);var c=new Error("Cannot find module '"+l+"'");throw c.code="MODULE_NOT_FOUND",c}var a=e[l]={exports:{}};d[l][0].call(a.exports,function(e){var s=d[l][1][e];return t(s||e)},a,a.exports,s,d,e,n)}return e[l].exports}for(var o="function"==typeof require&&require,a=0;a<n.length;a++)t(n[a]);return t}return s}()({1:[function(e,s){(function(){"use strict";var e=Math.min,t=Math.max;s.exports=function(s){var t,n;if(this.request_check_count=0,this.cooldownPeriod=s.cooldownPeriod||5,this.subject=s.subject,this.authId=s.authId||"Primary",this.issuer=s.issuer,this.idToken=s.idToken,s.claimPolicy){if(!Array.isArray(s.claimPolicy.claims))throw"When using the claimPolicy, you must supply an array of claim names as claimPolicy.claims.";if(s.claimPolicy.acrValues&&!Array.isArray(s.claimPolicy.acrValues))throw"The claimPolicy.acrValues must be an array of acr values, from weakest to strongest.";this.claimPolicy=s.claimPolicy}if(this.onSessionExpiring=s.onSessionExpiring,this.expiryWarningPeriod=s.expiryWarningPeriod||60,this.idToken&&(this.baselineClaims=P(this.idToken),this.sid=this.baselineClaims.sid,this.baselineClaims.exp&&h.call(this,1e3*this.baselineClaims.exp)),this.checkTimeout=s.checkTimeout||10,this.eventHandlers={},this.resultResolvers=[],this.sessionCheckFailedHandle=function(e){g.call(this,e,s)}.bind(this),this.pollInterval=s.pollInterval,this.checkOnVisible=!1!==s.checkOnVisible,this.checkOnFocus=!1!==s.checkOnFocus,this.checkOnOnline=!1!==s.checkOnOnline,this.activityEvents=s.activityEvents||[],this.pauseWhenHidden=!1!==s.pauseWhenHidden,this.maxBackoff=s.maxBackoff||300,this.transientFailureCount=0,this.backoffUntil=0,s.ssoToken)this.ssoTokenName=s.ssoTokenName||"iPlanetDirectoryPro",this.ssoToken=s.ssoToken,this.amUrl=s.amUrl,this.realm=s.realm,this.universalId=s.universalId,this.sessionInfoHandler=s.sessionInfoHandler,this.sessionProperties=s.sessionProperties,this.refreshSession=s.refreshSession,this.refreshSession&&(this.lastActivity=0,this.lastRefresh=0,this.userActivityHandle=function(){this.lastActivity=new Date().getTime()}.bind(this),M.forEach(function(e){document.addEventListener(e,this.userActivityHandle,{capture:!0,passive:!0})},this)),this.validationHandler=function(e){return this.subject&&this.subject!==e.username?"subject_mismatch":this.realm&&this.realm!==e.realm?"realm_mismatch":this.universalId&&this.universalId!==e.universalId?"universal_id_mismatch":void 0}.bind(this),this.sessionCheckSucceededHandle=function(e){k.call(this,void 0,s,e)}.bind(this);else{if(s.redirectUri?this.redirectUri=s.redirectUri:(t=document.createElement("a"),t.href="sessionCheck.html",this.redirectUri=t.href),this.clientId=s.clientId,this.opUrl=s.opUrl,this.jwksUri=s.jwksUri,this.endSessionEndpoint=s.endSessionEndpoint,this.tokenEndpoint=s.tokenEndpoint,this.responseType=s.responseType||"id_token","none"===this.responseType&&!this.idToken)throw"When using the 'none' response type, you must supply an idToken value to use as a hint when calling the OP.";if("code"===this.responseType&&!this.tokenEndpoint)throw"When using the 'code' response type, you must supply a tokenEndpoint value to exchange the code with.";if("code"===this.responseType&&("undefined"==typeof crypto||!crypto.subtle))throw"When using the 'code' response type, the browser must provide crypto.subtle (only available to secure contexts) to create the PKCE code_challenge.";if(("id_token"===this.responseType||"code"===this.responseType)&&(!this.jwksUri||!this.issuer))throw"When using the '"+this.responseType+"' response type, you must supply the jwksUri and issuer values used to validate each id_token (or use SessionCheck.fromIssuer).";if(("id_token"===this.responseType||"code"===this.responseType)&&(this.scope=s.scope||"openid"),this.thirdPartyCookieFallback=s.thirdPartyCookieFallback,this.storageAccessUrl=s.storageAccessUrl,this.saveAppState=s.saveAppState,"storageAccess"===this.thirdPartyCookieFallback&&!this.storageAccessUrl)throw"When using the 'storageAccess' thirdPartyCookieFallback, you must supply a storageAccessUrl value.";if(t=document.createElement("a"),t.href=this.opUrl,this.opUrlOrigin=t.protocol+"//"+t.host,"storageAccess"===this.thirdPartyCookieFallback&&(t.href=this.storageAccessUrl,this.storageAccessOrigin=t.protocol+"//"+t.host,this.storageAccessOrigin!==this.opUrlOrigin))throw"When using the 'storageAccess' thirdPartyCookieFallback, the storageAccessUrl must be hosted on the same origin as the opUrl.";if(this.iframe=document.createElement("iframe"),this.iframe.setAttribute("id","sessionCheckFrame-"+this.authId),this.iframe.setAttribute("style","display:none"),this.iframe.addEventListener("load",function(){try{this.frameCrossOrigin=!this.iframe.contentWindow.location.href}catch(s){this.frameCrossOrigin=!0}}.bind(this)),document.getElementsByTagName("body")[0].appendChild(this.iframe),this.eventListenerHandle=function(t){var e;if(this.opFrame&&t.source===this.opFrame.contentWindow)return void(t.origin===this.opOrigin&&T.call(this,t.data,s));if(!(t.data.authId&&t.data.authId!==this.authId)&&t.origin===document.location.origin&&H.call(this,t.data.requestId)){if(e=R.call(this,t.source),this.storageAccess&&e&&V.call(this),"sessionCheckFailed"===t.data.message){if(!e&&q.call(this,t.data.reason,s))return void w.call(this,s);g.call(this,t.data.reason,s)}"sessionCheckSucceeded"===t.data.message&&(!e&&(this.thirdPartyCookiesBlocked=!1),this.checkSessionIframe&&t.data.sessionState&&(this.sessionState=t.data.sessionState),k.call(this,t.data.claims,s))}}.bind(this),window.addEventListener("message",this.eventListenerHandle),s.checkSessionIframe){if(!s.sessionState)throw"When using the checkSessionIframe, you must supply the sessionState value returned with the original authentication response.";this.checkSessionIframe=s.checkSessionIframe,this.sessionState=s.sessionState,t=document.createElement("a"),t.href=this.checkSessionIframe,this.opOrigin=t.protocol+"//"+t.host,this.opFrame=document.createElement("iframe"),this.opFrame.setAttribute("id","sessionCheckOPFrame-"+this.authId),this.opFrame.setAttribute("style","display:none"),this.opFrame.addEventListener("load",function(){this.opFrameLoaded=!0,this.checkSessionPending&&(this.checkSessionPending=!1,A(this))}.bind(this)),this.opFrame.setAttribute("src",this.checkSessionIframe),document.getElementsByTagName("body")[0].appendChild(this.opFrame),this.checkSessionInterval=s.checkSessionInterval||this.cooldownPeriod}this.subject&&sessionStorage.setItem("sessionCheckSubject-"+this.authId,this.subject),sessionStorage.setItem("sessionCheckClientId-"+this.authId,this.clientId),sessionStorage.setItem("sessionCheckClockSkew-"+this.authId,void 0===s.clockSkew?60:s.clockSkew),this.issuer&&sessionStorage.setItem("sessionCheckIssuer-"+this.authId,this.issuer),this.jwksUri&&sessionStorage.setItem("sessionCheckJwksUri-"+this.authId,this.jwksUri),"code"===this.responseType&&(sessionStorage.setItem("sessionCheckTokenEndpoint-"+this.authId,this.tokenEndpoint),sessionStorage.setItem("sessionCheckRedirectUri-"+this.authId,this.redirectUri)),n=sessionStorage.getItem("sessionCheckRedirectResult-"+this.authId),n&&(sessionStorage.removeItem("sessionCheckRedirectResult-"+this.authId),this.thirdPartyCookiesBlocked=!0,setTimeout(W.bind(this,JSON.parse(n),s)))}return s.crossTab&&v.call(this,s),I.call(this,s),this};var n=function(e,s){var t=Object.keys(e).reduce(function(s,t){return s[t]=e[t],s},{}),n=e.responseType||"id_token";if(s.issuer!==e.issuer)throw"The issuer in the discovery document ("+s.issuer+") does not match the configured issuer ("+e.issuer+").";if(e.ssoToken){if(!t.amUrl){if(-1===s.issuer.indexOf("/oauth2/realms/"))throw"Unable to determine the amUrl from the issuer "+s.issuer+"; you must supply an amUrl value.";t.amUrl=s.issuer.replace("/oauth2/realms/","/json/realms/")}return t}if(s.response_types_supported&&-1===s.response_types_supported.indexOf(n))throw"The OP does not support the '"+n+"' response type.";if("code"===n&&s.code_challenge_methods_supported&&-1===s.code_challenge_methods_supported.indexOf("S256"))throw"The OP does not support the 'S256' PKCE code challenge method.";return t.opUrl=e.opUrl||s.authorization_endpoint,t.tokenEndpoint=e.tokenEndpoint||s.token_endpoint,t.jwksUri=e.jwksUri||s.jwks_uri,t.endSessionEndpoint=e.endSessionEndpoint||s.end_session_endpoint,e.sessionState&&(t.checkSessionIframe=e.checkSessionIframe||s.check_session_iframe),t},o=["timeout","frame_blocked","network_error","server_error","temporarily_unavailable","jwks_unavailable","cors_error","invalid_response","code_challenge_failed","third_party_cookies_blocked","popup_blocked"],i=["code_challenge_failed","third_party_cookies_blocked","popup_blocked"],a=function(e,s){(this.eventHandlers[e]||[]).slice().forEach(function(e){e(s)})},r=function(e){this.lastResult=e,this.resultResolvers.splice(0).forEach(function(s){s(e)})},c=function(){var e=Object.keys(this.lastResult||{}).reduce(function(e,s){return e[s]=this.lastResult[s],e}.bind(this),{status:"unknown",requestCheckCount:this.request_check_count});return e.skipped=!0,e},d=function(){return{status:"error",reason:"destroyed",requestCheckCount:this.request_check_count,skipped:!1}},l=function(e){return JSON.stringify(Array.isArray(e)?e.slice().sort():e)},u=function(e){var s,t=this.claimPolicy,n=this.baselineClaims;if(t)return n&&t.claims.some(function(o){return l(n[o])!==l(e[o])&&("acr"===o&&t.acrValues?!(t.acrValues.indexOf(e.acr)>=t.acrValues.indexOf(n.acr))&&(s="acr_downgraded",!0):(s=o+"_changed",!0))}),s||(this.baselineClaims=e),s},p=2147483647,h=function(e){this.onSessionExpiring&&e!==this.expiresAt&&(this.expiresAt=e,clearTimeout(this.expiryTimer),e<=new Date().getTime()||m.call(this,e))},m=function(s){var n=s-1e3*this.expiryWarningPeriod-new Date().getTime();this.expiryTimer=setTimeout(function(){return n>p?void m.call(this,s):void this.onSessionExpiring(t(0,Math.round((s-new Date().getTime())/1e3)))}.bind(this),t(0,e(n,p)))},k=function(e,s,t){var n={status:"valid",claims:e,session:t,requestCheckCount:this.request_check_count,skipped:!1},o=!this.initialSessionSucceeded,i=e&&u.call(this,e);return i?void g.call(this,i,s):void(e&&e.exp&&h.call(this,1e3*e.exp),t&&t.info&&D.call(this,t.info),this.transientFailureCount=0,this.backoffUntil=0,this.initialSessionSucceeded=!0,e&&e.sid&&(this.sid=e.sid),r.call(this,n),this.crossTab&&this.isLeader&&f.call(this,{message:"sessionCheckSucceeded",claims:e,session:t,requestCheckCount:this.request_check_count}),s.sessionClaimsHandler&&e&&s.sessionClaimsHandler(e,this.request_check_count),s.sessionInfoHandler&&t&&s.sessionInfoHandler(t,this.request_check_count),s.initialSessionSuccessHandler&&o&&s.initialSessionSuccessHandler(),e&&a.call(this,"claims",n),a.call(this,"valid",n),o&&a.call(this,"first-success",n))},g=function(s,t){var n,c=t.invalidSessionHandler,d={status:"invalid",reason:s,requestCheckCount:this.request_check_count,skipped:!1};-1!==o.indexOf(s)&&(this.transientFailureCount++,n=1e3*e(this.maxBackoff,(this.pollInterval||this.cooldownPeriod)*Math.pow(2,this.transientFailureCount)),this.backoffUntil=new Date().getTime()+n/2+Math.random()*n/2,b.call(this),c=t.sessionCheckErrorHandler||(-1===i.indexOf(s)?c:null),d.status="error"),r.call(this,d),this.crossTab&&this.isLeader&&f.call(this,{message:"sessionCheckFailed",reason:s,requestCheckCount:this.request_check_count}),c&&c(s,this.request_check_count),a.call(this,d.status,d)},v=function(e){this.crossTab=!0,this.tabId=L(),this.broadcastCount=0,this.crossTabMessageHandle=function(s){s&&s.tabId!==this.tabId&&("sessionCheckRequested"===s.message&&this.isLeader?(s.lastActivity>this.lastActivity&&(this.lastActivity=s.lastActivity),this.triggerSessionCheck().then(function(e){e.skipped&&f.call(this,{message:"sessionCheckSkipped",result:e})}.bind(this))):"sessionCheckSkipped"!==s.message||this.isLeader?"sessionCheckSucceeded"!==s.message||this.isLeader?"sessionCheckFailed"!==s.message||this.isLeader?"leaderResigned"===s.message&&y.call(this):(this.request_check_count=s.requestCheckCount,g.call(this,s.reason,e)):(this.request_check_count=s.requestCheckCount,k.call(this,s.claims,e,s.session)):this.resultResolvers.splice(0).forEach(function(e){e(s.result)}))}.bind(this),"undefined"==typeof BroadcastChannel?(this.storageEventHandle=function(s){s.key==="sessionCheckMessage-"+this.authId&&s.newValue&&this.crossTabMessageHandle(JSON.parse(s.newValue))}.bind(this),window.addEventListener("storage",this.storageEventHandle)):(this.broadcastChannel=new BroadcastChannel("sessionCheck-"+this.authId),this.broadcastChannel.onmessage=function(s){this.crossTabMessageHandle(s.data)}.bind(this)),this.crossTabResignHandle=C.bind(this),window.addEventListener("pagehide",this.crossTabResignHandle),y.call(this),this.leaderTimer=setInterval(y.bind(this),4e3)},f=function(e){e.tabId=this.tabId,e.sequence=++this.broadcastCount,this.broadcastChannel?this.broadcastChannel.postMessage(e):(localStorage.setItem("sessionCheckMessage-"+this.authId,JSON.stringify(e)),localStorage.removeItem("sessionCheckMessage-"+this.authId))},y=function(){var e="sessionCheckLeader-"+this.authId,s=new Date().getTime(),t=JSON.parse(localStorage.getItem(e)||"null"),n=this.isLeader;(!t||t.tabId===this.tabId||t.expires<s)&&(localStorage.setItem(e,JSON.stringify({tabId:this.tabId,expires:s+1e4})),t=JSON.parse(localStorage.getItem(e))),this.isLeader=t.tabId===this.tabId,this.isLeader&&!n&&this.resultResolvers.length&&!this.pendingRequestId&&(this.request_check_count++,K(this))},C=function(){this.isLeader&&(this.isLeader=!1,localStorage.removeItem("sessionCheckLeader-"+this.authId),f.call(this,{message:"leaderResigned"}))},I=function(e){this.frontchannelLogoutHandle=function(s){s&&"frontchannelLogout"===s.message&&(!this.crossTab||this.isLeader)&&this.sid&&s.sid===this.sid&&(!this.issuer||s.iss===this.issuer)&&g.call(this,"frontchannel_logout",e)}.bind(this),"undefined"==typeof BroadcastChannel?(this.logoutStorageEventHandle=function(s){"sessionCheckLogout"===s.key&&s.newValue&&this.frontchannelLogoutHandle(JSON.parse(s.newValue))}.bind(this),window.addEventListener("storage",this.logoutStorageEventHandle)):(this.logoutChannel=new BroadcastChannel("sessionCheckLogout"),this.logoutChannel.onmessage=function(s){this.frontchannelLogoutHandle(s.data)}.bind(this))},b=function(){clearTimeout(this.pollTimer);this.scheduled&&this.pollInterval&&(!this.pauseWhenHidden||"hidden"!==document.visibilityState)&&(this.pollTimer=setTimeout(function(){this.triggerSessionCheck(),b.call(this)}.bind(this),t(this.backoffUntil-new Date().getTime(),1e3*this.pollInterval)))},_=function(){clearInterval(this.checkSessionTimer);this.scheduled&&this.checkSessionIframe&&(!this.pauseWhenHidden||"hidden"!==document.visibilityState)&&(this.checkSessionTimer=setInterval(function(){this.crossTab&&!this.isLeader||this.pendingRequestId||this.backoffUntil>new Date().getTime()||(this.request_check_count++,K(this))}.bind(this),1e3*this.checkSessionInterval))},S=function(s){return"visibilitychange"===s.type&&"hidden"===document.visibilityState?void(this.pauseWhenHidden&&(clearTimeout(this.pollTimer),clearInterval(this.checkSessionTimer))):void(this.pauseWhenHidden&&"hidden"===document.visibilityState||("visibilitychange"===s.type&&_.call(this),this.backoffUntil<=new Date().getTime()&&("visibilitychange"!==s.type||this.checkOnVisible)&&this.triggerSessionCheck(),b.call(this)))},T=function(e,s){H.call(this,this.checkSessionRequestId)&&("unchanged"===e?k.call(this,void 0,s):("changed"==e||"error"==e)&&U(this))},E=function(){return this.pendingRequestId=L(),this.frameCrossOrigin=!1,clearTimeout(this.requestTimer),this.requestTimer=setTimeout(function(){this.pendingRequestId=null,navigator.onLine?this.frameCrossOrigin?this.sessionCheckFailedHandle("frame_blocked"):this.sessionCheckFailedHandle("timeout"):this.sessionCheckFailedHandle("network_error")}.bind(this),1e3*this.checkTimeout),this.pendingRequestId},H=function(e){return!!(e&&e===this.pendingRequestId)&&(clearTimeout(this.requestTimer),this.pendingRequestId=null,!0)},A=function(e){e.opFrame.contentWindow.postMessage(e.clientId+" "+e.sessionState,e.opOrigin)},P=function(e){var s=e.split(".")[1].replace(/-/g,"+").replace(/_/g,"/"),t=atob(s+"===".substring((s.length+3)%4));return JSON.parse(new TextDecoder().decode(Uint8Array.from(t,function(e){return e.charCodeAt(0)})))},L=function(){var e=new Uint8Array(32);return crypto.getRandomValues(e),Array.prototype.map.call(e,function(e){return("0"+e.toString(16)).slice(-2)}).join("")},x=function(e){return crypto.subtle.digest("SHA-256",new TextEncoder().encode(e)).then(function(e){return btoa(String.fromCharCode.apply(null,new Uint8Array(e))).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")})},U=function(e,s,t){if(e.iframe){s=s||function(s){e.iframe.contentWindow.location.replace(s)};var n,o=E.call(e),i=e.authId+"."+(t?"popup:":"")+o,a=e.opUrl+"?prompt=none&client_id="+e.clientId+"&response_type="+e.responseType+"&redirect_uri="+e.redirectUri+"&state="+encodeURIComponent(i);if("id_token"===e.responseType||"code"===e.responseType){var r=L();sessionStorage.setItem("sessionCheckNonce-"+e.authId,r),a+="&nonce="+r}return e.scope&&(a+="&scope="+e.scope),e.idToken&&(a+="&id_token_hint="+e.idToken),"code"===e.responseType?(n=L(),sessionStorage.setItem("sessionCheckCodeVerifier-"+e.authId,n),void x(n).then(function(t){e.iframe&&e.pendingRequestId===o&&s(a+"&code_challenge="+t+"&code_challenge_method=S256")},function(){e.iframe&&H.call(e,o)&&e.sessionCheckFailedHandle("code_challenge_failed")})):void s(a)}},F=["login_required","interaction_required"],R=function(e){return!!e&&(this.popup&&e===this.popup||this.storageAccess&&e===this.storageAccess.frame.contentWindow)},q=function(e,s){return!!(this.thirdPartyCookieFallback&&-1!==F.indexOf(e)&&this.opUrlOrigin!==document.location.origin)&&(this.thirdPartyCookiesBlocked?"none"!==this.thirdPartyCookieFallback&&!!s.sessionCheckErrorHandler:!this.initialSessionSucceeded)},w=function(e){return this.thirdPartyCookiesBlocked=!0,"redirect"!==this.thirdPartyCookieFallback||sessionStorage.getItem("sessionCheckThirdPartyCookiesBlocked-"+this.authId)?void g.call(this,"third_party_cookies_blocked",e):(sessionStorage.setItem("sessionCheckThirdPartyCookiesBlocked-"+this.authId,"true"),void O(this))},O=function(e){sessionStorage.setItem("sessionCheckReturnUrl-"+e.authId,window.location.href),e.saveAppState&&sessionStorage.setItem("sessionCheckAppState-"+e.authId,JSON.stringify(e.saveAppState())),U(e,function(e){window.location.assign(e)})},W=function(e,s){var t=sessionStorage.getItem("sessionCheckAppState-"+this.authId);sessionStorage.removeItem("sessionCheckAppState-"+this.authId),s.restoreAppState&&t&&s.restoreAppState(JSON.parse(t)),this.request_check_count++,"sessionCheckSucceeded"===e.message?k.call(this,e.claims,s):g.call(this,e.reason,s)},j=function(e){var s;e.popup=null,U(e,function(t){e.popup?e.popup.location.replace(t):s=t},!0),e.popup=window.open(s||"about:blank","sessionCheckPopup-"+e.authId,"width=500,height=600"),!e.popup&&H.call(e,e.pendingRequestId)&&e.sessionCheckFailedHandle("popup_blocked")},N=function(s,t){var n;return s.storageAccess?new Promise(function(e){(s.storageAccess.granted?s.resultResolvers:s.storageAccess.resolvers).push(e)}):(n=document.createElement("iframe"),new Promise(function(e){var o=function(e){var t=s.storageAccess.resolvers;return e?void(s.storageAccess.granted=!0,window.removeEventListener("message",s.storageAccess.messageHandle),clearTimeout(s.storageAccess.timer),s.storageAccess.timer=setTimeout(V.bind(s),1e3*s.checkTimeout),s.storageAccess.resolvers=[],Array.prototype.push.apply(s.resultResolvers,t),s.request_check_count++,U(s,function(e){n.contentWindow.postMessage({message:"sessionCheck",url:e},s.storageAccessOrigin)})):(V.call(s),s.sessionCheckFailedHandle("third_party_cookies_blocked"),void t.forEach(function(e){e(s.lastResult)}))};s.storageAccess={frame:n,resolvers:[e],timer:setTimeout(function(){o(!1)},12e4),messageHandle:function(t){t.source===n.contentWindow&&t.origin===s.storageAccessOrigin&&o("storageAccessGranted"===t.data.message)}},window.addEventListener("message",s.storageAccess.messageHandle),n.setAttribute("id","sessionCheckStorageAccessFrame-"+s.authId),n.setAttribute("src",s.storageAccessUrl+(-1===s.storageAccessUrl.indexOf("?")?"?":"&")+"origin="+encodeURIComponent(document.location.origin)),(t||document.getElementsByTagName("body")[0]).appendChild(n)}))},V=function(){var e=this.storageAccess;this.storageAccess=null,clearTimeout(e.timer),window.removeEventListener("message",e.messageHandle),e.frame.parentNode&&e.frame.parentNode.removeChild(e.frame)},B={getSessionInfo:"resource=4.0, protocol=1.0",getSessionInfoAndResetIdleTime:"resource=4.0, protocol=1.0",getSessionProperties:"resource=4.0, protocol=1.0",logout:"resource=3.1, protocol=1.0"},M=["click","keydown","scroll","touchstart"],z=function(e,s){return new Promise(function(t,n){var o=new XMLHttpRequest;o.addEventListener("load",function(){var e;if(401===this.status)return void n("unauthorized");if(403===this.status)return void n("forbidden");if(400<=this.status&&500>this.status)return void n("client_error");if(500<=this.status)return void n("server_error");try{if(200>this.status||300<=this.status)throw this.status;e=JSON.parse(this.responseText)}catch(s){return void n("invalid_response")}t(e)}),o.addEventListener("error",function(){n(navigator.onLine?"cors_error":"network_error")}),o.open("POST",e.amUrl+"/sessions?_action="+s),o.setRequestHeader(e.ssoTokenName,e.ssoToken),o.setRequestHeader("Accept-API-Version",B[s]),o.send()})},D=function(s){var t=[s.maxIdleExpirationTime,s.maxSessionExpirationTime].filter(Boolean).map(function(e){return Date.parse(e)});t.length&&h.call(this,e.apply(Math,t))},J=function(e){var s=E.call(e),t={},n=e.refreshSession&&e.lastActivity>e.lastRefresh;z(e,n?"getSessionInfoAndResetIdleTime":"getSessionInfo").then(function(s){var o=e.validationHandler(s);if(o)throw o;return(n&&(e.lastRefresh=new Date().getTime()),t.info=s,e.sessionProperties&&e.sessionInfoHandler)?z(e,"getSessionProperties"):void 0}).then(function(n){H.call(e,s)&&(t.properties=n,e.sessionCheckSucceededHandle(t))},function(t){H.call(e,s)&&e.sessionCheckFailedHandle("unauthorized"===t?"invalid_session":t)})},K=function(e){if(e.ssoToken)J(e);else if(e.checkSessionIframe){if(!e.opFrame)return;if(e.checkSessionRequestId=E.call(e),!e.opFrameLoaded)return void(e.checkSessionPending=!0);A(e)}else U(e)};s.exports.fromIssuer=function(e){return e&&e.issuer?fetch(e.issuer.replace(/\/$/,"")+"/.well-known/openid-configuration").then(function(s){if(!s.ok)throw"Unable to read the discovery document for "+e.issuer+" (HTTP "+s.status+").";return s.json()}).then(function(t){return new s.exports(n(e,t))}):Promise.reject("To use SessionCheck.fromIssuer, you must supply an issuer value.")},s.exports.prototype.triggerSessionCheck=function(){return new Promise(function(e){var s=new Date().getTime();if(this.destroyed)return void e(d.call(this));if(this.pendingRequestId||this.resultResolvers.length)return void this.resultResolvers.push(e);if(!this.checkSessionTimestamp||this.checkSessionTimestamp+1e3*this.cooldownPeriod<s){if(this.checkSessionTimestamp=s,this.resultResolvers.push(e),this.crossTab&&!this.isLeader)return void f.call(this,{message:"sessionCheckRequested",lastActivity:this.lastActivity});this.request_check_count++,K(this)}else e(c.call(this))}.bind(this))},s.exports.prototype.fallbackSessionCheck=function(e){return this.destroyed?Promise.resolve(d.call(this)):"storageAccess"===this.thirdPartyCookieFallback?N(this,e):new Promise(function(e){return this.resultResolvers.push(e),"redirect"===this.thirdPartyCookieFallback?void O(this):"popup"===this.thirdPartyCookieFallback?(this.request_check_count++,void j(this)):void this.sessionCheckFailedHandle("third_party_cookies_blocked")}.bind(this))},s.exports.prototype.on=function(e,s){return this.eventHandlers[e]=(this.eventHandlers[e]||[]).concat(s),this},s.exports.prototype.off=function(e,s){return this.eventHandlers[e]=(this.eventHandlers[e]||[]).filter(function(e){return e!==s}),this},s.exports.prototype.start=function(){this.scheduled||(this.scheduled=!0,this.scheduledEventHandle=S.bind(this),(this.checkOnVisible||this.pauseWhenHidden)&&document.addEventListener("visibilitychange",this.scheduledEventHandle),this.checkOnFocus&&window.addEventListener("focus",this.scheduledEventHandle),this.checkOnOnline&&window.addEventListener("online",this.scheduledEventHandle),this.activityEvents.forEach(function(e){document.addEventListener(e,this.scheduledEventHandle)},this),(!this.pauseWhenHidden||"hidden"!==document.visibilityState)&&this.triggerSessionCheck(),b.call(this),_.call(this))},s.exports.prototype.stop=function(){this.scheduled&&(this.scheduled=!1,clearTimeout(this.pollTimer),clearInterval(this.checkSessionTimer),document.removeEventListener("visibilitychange",this.scheduledEventHandle),window.removeEventListener("focus",this.scheduledEventHandle),window.removeEventListener("online",this.scheduledEventHandle),this.activityEvents.forEach(function(e){document.removeEventListener(e,this.scheduledEventHandle)},this),this.scheduledEventHandle=null)},s.exports.prototype.logout=function(e){var s,t=e&&e.postLogoutRedirectUri;return this.ssoToken||this.endSessionEndpoint?(this.stop(),this.ssoToken)?z(this,"logout").then(function(){t&&window.location.assign(t)}):(s=this.endSessionEndpoint+(-1===this.endSessionEndpoint.indexOf("?")?"?":"&")+"client_id="+encodeURIComponent(this.clientId),this.idToken&&(s+="&id_token_hint="+this.idToken),t&&(s+="&post_logout_redirect_uri="+encodeURIComponent(t)),window.location.assign(s),Promise.resolve()):Promise.reject("To log out, you must supply an endSessionEndpoint value (or use SessionCheck.fromIssuer with an OP which provides one).")},s.exports.prototype.destroy=function(){this.stop(),this.iframe&&this.iframe.parentNode&&this.iframe.parentNode.removeChild(this.iframe),this.opFrame&&this.opFrame.parentNode&&this.opFrame.parentNode.removeChild(this.opFrame),clearInterval(this.checkSessionTimer),clearTimeout(this.requestTimer),clearTimeout(this.expiryTimer),this.pendingRequestId=null,this.storageAccess&&(this.resultResolvers=this.resultResolvers.concat(this.storageAccess.resolvers),V.call(this)),this.destroyed=!0,r.call(this,d.call(this)),this.eventHandlers={},this.userActivityHandle&&(M.forEach(function(e){document.removeEventListener(e,this.userActivityHandle,{capture:!0,passive:!0})},this),this.userActivityHandle=null),sessionStorage.removeItem("sessionCheckSubject-"+this.authId),sessionStorage.removeItem("sessionCheckNonce-"+this.authId),sessionStorage.removeItem("sessionCheckClientId-"+this.authId),sessionStorage.removeItem("sessionCheckClockSkew-"+this.authId),sessionStorage.removeItem("sessionCheckIssuer-"+this.authId),sessionStorage.removeItem("sessionCheckJwksUri-"+this.authId),sessionStorage.removeItem("sessionCheckJwks-"+this.authId),sessionStorage.removeItem("sessionCheckTokenEndpoint-"+this.authId),sessionStorage.removeItem("sessionCheckRedirectUri-"+this.authId),sessionStorage.removeItem("sessionCheckCodeVerifier-"+this.authId),this.popup&&(this.popup.close(),this.popup=null),removeEventListener("message",this.eventListenerHandle,!1),this.crossTab&&(C.call(this),clearInterval(this.leaderTimer),window.removeEventListener("pagehide",this.crossTabResignHandle),this.broadcastChannel?this.broadcastChannel.close():window.removeEventListener("storage",this.storageEventHandle),this.broadcastChannel=null,this.crossTab=!1),this.logoutChannel&&(this.logoutChannel.close(),this.logoutChannel=null),window.removeEventListener("storage",this.logoutStorageEventHandle),this.iframe=null,this.opFrame=null,this.eventListenerHandle=null}})()},{}]},{},[1])(1)});
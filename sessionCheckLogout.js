@@ -0,0 +1 @@
+"use strict";(function(){function b(d,e,g){function a(j,i){if(!e[j]){if(!d[j]){var f="function"==typeof require&&require;if(!i&&f)return f(j,!0);if(h)return h(j,!0);var c=new Error("Cannot find module '"+j+"'");throw c.code="MODULE_NOT_FOUND",c}var k=e[j]={exports:{}};d[j][0].call(k.exports,function(b){var c=d[j][1][b];return a(c||b)},k,k.exports,b,d,e,g)}return e[j].exports}for(var h="function"==typeof require&&require,c=0;c<g.length;c++)a(g[c]);return a}return b})()({1:[function(){(function(){"use strict";var a=window.location.search.replace("?","").split("&").reduce(function(a,b){var c=b.split("=");return c[0]&&c[1]&&(a[c[0]]=decodeURIComponent(c[1])),a},{}),b={message:"frontchannelLogout",iss:a.iss,sid:a.sid};if("undefined"!=typeof BroadcastChannel){var c=new BroadcastChannel("sessionCheckLogout");c.postMessage(b),c.close()}else b.timestamp=new Date().getTime(),localStorage.setItem("sessionCheckLogout",JSON.stringify(b)),localStorage.removeItem("sessionCheckLogout")})()},{}]},{},[1]);
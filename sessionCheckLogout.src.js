@@ -0,0 +1,48 @@
+(function () {
+    "use strict";
+    /**
+     * This code is designed to run in the context of a window (or frame)
+     * that has been loaded as the frontchannel_logout_uri of the RP. The OP loads
+     * this page (usually in a hidden iframe) when the user logs out of the OP,
+     * passing the "iss" and "sid" values which identify the session in the
+     * query string.
+     *
+     * For more details on front-channel logout see :
+     * https://openid.net/specs/openid-connect-frontchannel-1_0.html
+     *
+     * A "frontchannelLogout" message is sent to every SessionCheck instance hosted
+     * on the same origin (in any tab), using a BroadcastChannel named "sessionCheckLogout"
+     * (or the "sessionCheckLogout" localStorage entry, where BroadcastChannel isn't available).
+     * Each instance compares the "iss" and "sid" values with its own session, and if they
+     * match, it calls its invalidSessionHandler with the reason "frontchannel_logout".
+     *
+     */
+
+    var request_params = window.location.search
+        .replace("?", "")
+        .split("&")
+        .reduce(function (result, entry) {
+            var pair = entry.split("=");
+            if (pair[0] && pair[1]) {
+                result[pair[0]] = decodeURIComponent(pair[1]);
+            }
+            return result;
+        }, {});
+
+    var message = {
+        "message": "frontchannelLogout",
+        "iss": request_params.iss,
+        "sid": request_params.sid
+    };
+
+    if (typeof BroadcastChannel !== "undefined") {
+        var channel = new BroadcastChannel("sessionCheckLogout");
+        channel.postMessage(message);
+        channel.close();
+    } else {
+        message.timestamp = (new Date()).getTime();
+        localStorage.setItem("sessionCheckLogout", JSON.stringify(message));
+        localStorage.removeItem("sessionCheckLogout");
+    }
+
+}());
@@ -0,0 +1 @@
+"use strict";(function(){function b(d,e,g){function a(j,i){if(!e[j]){if(!d[j]){var f="function"==typeof require&&require;if(!i&&f)return f(j,!0);if(h)return h(j,!0);var c=new Error("Cannot find module '"+j+"'");throw c.code="MODULE_NOT_FOUND",c}var k=e[j]={exports:{}};d[j][0].call(k.exports,function(b){var c=d[j][1][b];return a(c||b)},k,k.exports,b,d,e,g)}return e[j].exports}for(var h="function"==typeof require&&require,c=0;c<g.length;c++)a(g[c]);return a}return b})()({1:[function(){(function(){"use strict";function a(a){parent.postMessage({message:a},c.origin)}function b(){window.addEventListener("message",function(a){var b;a.source===parent&&a.origin===c.origin&&a.data&&"sessionCheck"===a.data.message&&(b=document.createElement("a"),b.href=a.data.url,b.protocol+"//"+b.host===window.location.origin&&window.location.replace(b.href))}),a("storageAccessGranted")}var c=window.location.search.replace("?","").split("&").reduce(function(a,b){var c=b.split("=");return c[0]&&c[1]&&(a[c[0]]=decodeURIComponent(c[1])),a},{});return parent!==window&&c.origin?document.hasStorageAccess?void document.hasStorageAccess().then(function(c){return c?void b():void document.getElementById("requestStorageAccess").addEventListener("click",function(){document.requestStorageAccess().then(b,function(){a("storageAccessDenied")})})}):void a("storageAccessDenied"):void 0})()},{}]},{},[1]);
@@ -0,0 +1,82 @@
+(function () {
+    "use strict";
+    /**
+     * This code is designed to run in the context of a frame that has been loaded
+     * as the storageAccessUrl of a SessionCheck instance. Unlike the other pages,
+     * it must be hosted on the same origin as the OP, so that the browser gives it
+     * access to the OP cookies. The RP shows this page when the browser has blocked
+     * those cookies within the hidden session check iframe, passing its own origin
+     * as the "origin" value in the query string.
+     *
+     * For more details on the Storage Access API see :
+     * https://developer.mozilla.org/en-US/docs/Web/API/Storage_Access_API
+     *
+     * Browsers only grant storage access following a user gesture within this frame,
+     * so access is requested when the "requestStorageAccess" button is clicked (unless
+     * access has already been granted). Either a "storageAccessGranted" or a
+     * "storageAccessDenied" message is then sent to the parent frame using the
+     * postMessage API.
+     *
+     * Some browsers (such as Safari) only grant access to this frame, so once access is
+     * granted, the parent frame replies with a "sessionCheck" message containing the URL
+     * of its prompt=none request, which is then made within this frame. The OP redirects
+     * the frame to the RP's redirect_uri, where the sessionCheckFrame code sends the result
+     * to the parent frame as usual.
+     *
+     */
+
+    var request_params = window.location.search
+        .replace("?", "")
+        .split("&")
+        .reduce(function (result, entry) {
+            var pair = entry.split("=");
+            if (pair[0] && pair[1]) {
+                result[pair[0]] = decodeURIComponent(pair[1]);
+            }
+            return result;
+        }, {});
+
+    function sendResult(message) {
+        parent.postMessage({ "message": message }, request_params.origin);
+    }
+
+    function storageAccessGranted() {
+        window.addEventListener("message", function (e) {
+            var requestLink;
+            if (e.source !== parent || e.origin !== request_params.origin ||
+                    !e.data || e.data.message !== "sessionCheck") {
+                return;
+            }
+            // only requests to the OP, which this frame has been granted access for
+            requestLink = document.createElement("a");
+            requestLink.href = e.data.url;
+            if (requestLink.protocol + "//" + requestLink.host === window.location.origin) {
+                window.location.replace(requestLink.href);
+            }
+        });
+        sendResult("storageAccessGranted");
+    }
+
+    if (parent === window || !request_params.origin) {
+        // have to be running within a frame of the RP
+        return;
+    }
+
+    if (!document.hasStorageAccess) {
+        sendResult("storageAccessDenied");
+        return;
+    }
+
+    document.hasStorageAccess().then(function (hasAccess) {
+        if (hasAccess) {
+            storageAccessGranted();
+            return;
+        }
+        document.getElementById("requestStorageAccess").addEventListener("click", function () {
+            document.requestStorageAccess().then(storageAccessGranted, function () {
+                sendResult("storageAccessDenied");
+            });
+        });
+    });
+
+}());